@@ -0,0 +1,139 @@
+/*
+  ABUSE.JS - Vote rate limits + suspicious-pattern detection for Music Battle
+  Limits are counted from the votes table (not memory) so they hold across
+  restarts and multiple processes. Heuristics only FLAG — an admin decides
+  whether to invalidate.
+*/
+
+var LIMITS = {
+    perMinute: Number(process.env.VOTE_LIMIT_PER_MINUTE || 30),
+    perHour: Number(process.env.VOTE_LIMIT_PER_HOUR || 600)
+};
+
+var HEURISTICS = {
+    window: 20,              // look at the last N votes of a session
+    sameWinner: 15,          // ... flag if one song won this many of them
+    fastVote: 15,            // ... or this many were cast within minListenSeconds
+    minListenSeconds: 2,     // no clip can be judged faster than this
+    sessionsPerIp: 10        // distinct voting sessions from one IP in an hour
+};
+
+// Returns null if the vote may go ahead, else { retryAfter, error }
+function checkRateLimit(db, sessionId, userId) {
+    var windows = [
+        { seconds: 60, limit: LIMITS.perMinute },
+        { seconds: 3600, limit: LIMITS.perHour }
+    ];
+
+    for (var i = 0; i < windows.length; i++) {
+        var w = windows[i];
+        var since = "datetime('now', '-" + w.seconds + " seconds')";
+        var bySession = db.prepare('SELECT COUNT(*) as count FROM votes WHERE session_id = ? AND voted_at > ' + since)
+            .get(sessionId).count;
+        var byUser = userId
+            ? db.prepare('SELECT COUNT(*) as count FROM votes WHERE user_id = ? AND voted_at > ' + since).get(userId).count
+            : 0;
+
+        if (bySession >= w.limit || byUser >= w.limit) {
+            return { retryAfter: w.seconds, error: 'Too many votes — slow down' };
+        }
+    }
+    return null;
+}
+
+// Insert a flag unless an open one already covers this subject + reason
+function raiseFlag(db, reason, subject, details) {
+    var open = db.prepare(`
+        SELECT id FROM vote_flags
+        WHERE reason = ? AND resolved_at IS NULL
+          AND session_id IS ? AND user_id IS ? AND ip IS ?
+    `).get(reason, subject.sessionId || null, subject.userId || null, subject.ip || null);
+    if (open) return null;
+
+    var info = db.prepare(`
+        INSERT INTO vote_flags (reason, session_id, user_id, ip, details)
+        VALUES (?, ?, ?, ?, ?)
+    `).run(reason, subject.sessionId || null, subject.userId || null, subject.ip || null, JSON.stringify(details));
+    return Number(info.lastInsertRowid);
+}
+
+// Run the heuristics after a vote is recorded. Returns the reasons flagged this time.
+function detectAbuse(db, sessionId, userId, ip) {
+    var flagged = [];
+
+    var recent = db.prepare(`
+        SELECT v.winner_id, v.outcome,
+          (julianday(t.redeemed_at) - julianday(t.issued_at)) * 86400 as seconds
+        FROM votes v
+        LEFT JOIN battle_tokens t ON t.id = v.battle_id
+        WHERE v.session_id = ? AND v.invalidated_at IS NULL
+        ORDER BY v.id DESC
+        LIMIT ?
+    `).all(sessionId, HEURISTICS.window);
+
+    if (recent.length >= HEURISTICS.window) {
+        // Same song winning over and over
+        var winCounts = {};
+        recent.forEach(function(v) {
+            if (v.outcome === 'win') winCounts[v.winner_id] = (winCounts[v.winner_id] || 0) + 1;
+        });
+        Object.keys(winCounts).forEach(function(songId) {
+            if (winCounts[songId] >= HEURISTICS.sameWinner &&
+                raiseFlag(db, 'same_winner', { sessionId: sessionId, userId: userId },
+                    { songId: Number(songId), wins: winCounts[songId], of: recent.length })) {
+                flagged.push('same_winner');
+            }
+        });
+
+        // Votes faster than anyone could listen
+        var fast = recent.filter(function(v) {
+            return v.seconds !== null && v.seconds < HEURISTICS.minListenSeconds;
+        }).length;
+        if (fast >= HEURISTICS.fastVote &&
+            raiseFlag(db, 'too_fast', { sessionId: sessionId, userId: userId },
+                { fastVotes: fast, of: recent.length, underSeconds: HEURISTICS.minListenSeconds })) {
+            flagged.push('too_fast');
+        }
+    }
+
+    // Many sessions voting from one IP
+    if (ip) {
+        var sessions = db.prepare(`
+            SELECT COUNT(DISTINCT session_id) as count FROM votes
+            WHERE ip = ? AND voted_at > datetime('now', '-1 hour') AND invalidated_at IS NULL
+        `).get(ip).count;
+        if (sessions >= HEURISTICS.sessionsPerIp &&
+            raiseFlag(db, 'many_sessions', { ip: ip }, { sessions: sessions, withinHours: 1 })) {
+            flagged.push('many_sessions');
+        }
+    }
+
+    return flagged;
+}
+
+// Mark every vote from a session / user / IP invalid and close matching flags.
+// Returns the number of votes invalidated. Ratings must be replayed afterwards.
+function invalidateVotes(db, subject) {
+    var where = [];
+    var params = [];
+    if (subject.sessionId) { where.push('session_id = ?'); params.push(subject.sessionId); }
+    if (subject.userId) { where.push('user_id = ?'); params.push(subject.userId); }
+    if (subject.ip) { where.push('ip = ?'); params.push(subject.ip); }
+    if (where.length === 0) throw new Error('sessionId, userId or ip required');
+
+    return db.transaction(function() {
+        var info = db.prepare('UPDATE votes SET invalidated_at = CURRENT_TIMESTAMP WHERE invalidated_at IS NULL AND (' +
+            where.join(' OR ') + ')').run(...params);
+        db.prepare('UPDATE vote_flags SET resolved_at = CURRENT_TIMESTAMP, resolution = ? WHERE resolved_at IS NULL AND (' +
+            where.join(' OR ') + ')').run('invalidated', ...params);
+        return info.changes;
+    })();
+}
+
+module.exports = {
+    LIMITS,
+    HEURISTICS,
+    checkRateLimit,
+    detectAbuse,
+    invalidateVotes
+};
@@ -0,0 +1,167 @@
+/*
+  ACCOUNTS.JS - Who owns personal data in Music Battle
+  personal_ratings, genre_affinity, playlists, youtube_tokens, shares and
+  the personal rows of rating_history are keyed by an OWNER KEY in their
+  session_id column: the express session ID for anonymous visitors, or
+  'user:<id>' once someone is logged in — so an account's data follows it
+  across devices. On signup/login the visitor's session rows are merged in.
+*/
+
+function ownerKey(sessionId, userId) {
+    return userId ? 'user:' + userId : sessionId;
+}
+
+// Battle-weighted average (equal weights if neither side has battles yet)
+function weighted(a, b, wa, wb) {
+    if (wa + wb === 0) return (a + b) / 2;
+    return (a * wa + b * wb) / (wa + wb);
+}
+
+function mergeRatings(db, from, to) {
+    var merged = 0;
+    var rows = db.prepare('SELECT * FROM personal_ratings WHERE session_id = ?').all(from);
+    var findTarget = db.prepare('SELECT * FROM personal_ratings WHERE session_id = ? AND song_id = ?');
+    var move = db.prepare('UPDATE personal_ratings SET session_id = ? WHERE session_id = ? AND song_id = ?');
+    var combine = db.prepare(`
+        UPDATE personal_ratings SET elo = ?, glicko_rating = ?, glicko_rd = ?, glicko_vol = ?,
+            battles = ?, wins = ?, draws = ?
+        WHERE session_id = ? AND song_id = ?
+    `);
+    var remove = db.prepare('DELETE FROM personal_ratings WHERE session_id = ? AND song_id = ?');
+
+    rows.forEach(function(row) {
+        var target = findTarget.get(to, row.song_id);
+        if (!target) {
+            move.run(to, from, row.song_id);
+            merged++;
+            return;
+        }
+
+        // Same song rated on both sides: average by battles, keep the more certain deviation
+        var wa = target.battles;
+        var wb = row.battles;
+        combine.run(
+            Math.round(weighted(target.elo, row.elo, wa, wb)),
+            weighted(target.glicko_rating, row.glicko_rating, wa, wb),
+            Math.min(target.glicko_rd, row.glicko_rd),
+            weighted(target.glicko_vol, row.glicko_vol, wa, wb),
+            target.battles + row.battles,
+            target.wins + row.wins,
+            (target.draws || 0) + (row.draws || 0),
+            to, row.song_id
+        );
+        remove.run(from, row.song_id);
+        merged++;
+    });
+
+    return merged;
+}
+
+function mergeAffinity(db, from, to) {
+    var info = db.prepare(`
+        INSERT INTO genre_affinity (session_id, genre, wins, draws, total_battles)
+        SELECT ?, genre, wins, draws, total_battles FROM genre_affinity WHERE session_id = ?
+        ON CONFLICT(session_id, genre) DO UPDATE SET
+            wins = wins + excluded.wins, draws = draws + excluded.draws,
+            total_battles = total_battles + excluded.total_battles
+    `).run(to, from);
+    db.prepare('DELETE FROM genre_affinity WHERE session_id = ?').run(from);
+    return info.changes;
+}
+
+// Playlists move over to the account. One with the same name as an account
+// playlist is folded into it: its songs are appended in order, and a song saved
+// on both sides keeps its place and earliest added_at. Returns songs moved.
+function mergePlaylists(db, from, to) {
+    var merged = 0;
+    var findTarget = db.prepare('SELECT * FROM playlists WHERE session_id = ? AND name = ? COLLATE NOCASE');
+    var nextPosition = db.prepare('SELECT COALESCE(MAX(position) + 1, 0) as position FROM playlists WHERE session_id = ?');
+    var countSongs = db.prepare('SELECT COUNT(*) as count FROM user_playlists WHERE playlist_id = ?');
+    var endOf = db.prepare('SELECT COALESCE(MAX(position) + 1, 0) as position FROM user_playlists WHERE playlist_id = ?');
+    var appendSongs = db.prepare(`
+        INSERT INTO user_playlists (playlist_id, song_id, position, added_at)
+        SELECT ?, song_id, ? + position, added_at
+        FROM user_playlists WHERE playlist_id = ?
+        ON CONFLICT(playlist_id, song_id) DO UPDATE SET added_at = MIN(added_at, excluded.added_at)
+    `);
+
+    db.prepare('SELECT * FROM playlists WHERE session_id = ? ORDER BY position, id').all(from).forEach(function(playlist) {
+        var target = findTarget.get(to, playlist.name);
+        if (!target) {
+            db.prepare('UPDATE playlists SET session_id = ?, position = ? WHERE id = ?')
+                .run(to, nextPosition.get(to).position, playlist.id);
+            db.prepare('UPDATE shares SET session_id = ? WHERE playlist_id = ?').run(to, playlist.id);
+            merged += countSongs.get(playlist.id).count;
+            return;
+        }
+
+        merged += appendSongs.run(target.id, endOf.get(target.id).position, playlist.id).changes;
+        if (!target.youtube_playlist_id && playlist.youtube_playlist_id) {
+            db.prepare('UPDATE playlists SET youtube_playlist_id = ? WHERE id = ?').run(playlist.youtube_playlist_id, target.id);
+        }
+        // A shared link keeps working, now showing the combined playlist — unless that one has its own
+        if (db.prepare('SELECT 1 FROM shares WHERE playlist_id = ?').get(target.id)) {
+            db.prepare('DELETE FROM shares WHERE playlist_id = ?').run(playlist.id);
+        } else {
+            db.prepare('UPDATE shares SET session_id = ?, playlist_id = ? WHERE playlist_id = ?').run(to, target.id, playlist.id);
+        }
+        db.prepare('DELETE FROM youtube_sync_jobs WHERE playlist_id = ?').run(playlist.id);
+        db.prepare('DELETE FROM user_playlists WHERE playlist_id = ?').run(playlist.id);
+        db.prepare('DELETE FROM playlists WHERE id = ?').run(playlist.id);
+    });
+
+    return merged;
+}
+
+// The session's top 10 link now shows the account's (merged) rankings.
+// If the account already shares its top 10, that link wins. Returns true if the link moved over.
+function mergeTopShare(db, from, to) {
+    if (db.prepare("SELECT 1 FROM shares WHERE session_id = ? AND kind = 'top10'").get(to)) {
+        db.prepare("DELETE FROM shares WHERE session_id = ? AND kind = 'top10'").run(from);
+        return false;
+    }
+    return db.prepare("UPDATE shares SET session_id = ? WHERE session_id = ? AND kind = 'top10'").run(to, from).changes > 0;
+}
+
+// One YouTube connection per owner: whichever was connected most recently wins
+function mergeYouTubeTokens(db, from, to) {
+    var incoming = db.prepare('SELECT * FROM youtube_tokens WHERE session_id = ?').get(from);
+    if (!incoming) return false;
+
+    var current = db.prepare('SELECT * FROM youtube_tokens WHERE session_id = ?').get(to);
+    if (current && current.connected_at > incoming.connected_at) {
+        db.prepare('DELETE FROM youtube_tokens WHERE session_id = ?').run(from);
+        return false;
+    }
+
+    db.prepare('DELETE FROM youtube_tokens WHERE session_id = ?').run(to);
+    db.prepare('UPDATE youtube_tokens SET session_id = ? WHERE session_id = ?').run(to, from);
+    return true;
+}
+
+// Move everything the anonymous session built up into the user's account.
+// Returns counts of what was merged, for logging.
+function mergeSessionIntoUser(db, sessionId, userId) {
+    var to = ownerKey(sessionId, userId);
+    if (to === sessionId) return null;
+
+    return db.transaction(function() {
+        var summary = {
+            ratings: mergeRatings(db, sessionId, to),
+            genres: mergeAffinity(db, sessionId, to),
+            playlist: mergePlaylists(db, sessionId, to),
+            youtube: mergeYouTubeTokens(db, sessionId, to),
+            topShare: mergeTopShare(db, sessionId, to)
+        };
+        db.prepare('UPDATE rating_history SET session_id = ? WHERE session_id = ?').run(to, sessionId);
+        // The session's anonymous votes count as the account's from now on
+        summary.votes = db.prepare('UPDATE votes SET user_id = ? WHERE session_id = ? AND user_id IS NULL')
+            .run(userId, sessionId).changes;
+        return summary;
+    })();
+}
+
+module.exports = {
+    ownerKey,
+    mergeSessionIntoUser
+};
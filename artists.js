@@ -0,0 +1,116 @@
+/*
+  ARTISTS.JS - Artist-level stats for Music Battle
+  Songs are credited to every artist in their `artist` field (see
+  parseArtistCredits in catalog.js), so "David Guetta ft. Sia" counts for
+  both — a collaboration's battles count in full for each collaborator.
+  Only active songs are counted, with their cumulative global ratings.
+*/
+
+var { artistKey, parseArtistCredits } = require('./catalog');
+
+var SORTS = {
+    avg_elo: function(a, b) { return b.avg_elo - a.avg_elo; },
+    best_elo: function(a, b) { return b.best_elo - a.best_elo; },
+    win_rate: function(a, b) { return (b.win_rate || 0) - (a.win_rate || 0) || b.battles - a.battles; },
+    songs: function(a, b) { return b.song_count - a.song_count; }
+};
+
+// Points share across battles: ties count half, null before any battle
+function winRate(wins, draws, battles) {
+    return battles === 0 ? null : Math.round((wins + draws / 2) / battles * 1000) / 1000;
+}
+
+// Active songs grouped by credited artist: { key: { name, songs: [...] } }
+function songsByArtist(db) {
+    var artists = {};
+    db.prepare('SELECT * FROM songs WHERE active = 1 ORDER BY global_elo DESC, title ASC').all().forEach(function(song) {
+        parseArtistCredits(song.artist).forEach(function(name) {
+            var key = artistKey(name);
+            if (!artists[key]) artists[key] = { name: name, songs: [] };
+            artists[key].songs.push(song);
+        });
+    });
+    return artists;
+}
+
+function summarize(artist) {
+    var battles = 0;
+    var wins = 0;
+    var draws = 0;
+    var eloTotal = 0;
+    artist.songs.forEach(function(song) {
+        battles += song.total_battles || 0;
+        wins += song.total_wins || 0;
+        draws += song.total_draws || 0;
+        eloTotal += song.global_elo;
+    });
+    var best = artist.songs[0]; // songs are sorted by global_elo
+
+    return {
+        name: artist.name,
+        song_count: artist.songs.length,
+        battles: battles,
+        wins: wins,
+        draws: draws,
+        losses: battles - wins - draws,
+        win_rate: winRate(wins, draws, battles),
+        avg_elo: Math.round(eloTotal / artist.songs.length),
+        best_elo: best.global_elo,
+        best_song: { id: best.id, title: best.title }
+    };
+}
+
+// Every credited artist, ranked. sort: avg_elo (default) | best_elo | win_rate | songs
+function artistLeaderboard(db, sort) {
+    var compare = SORTS[sort] || SORTS.avg_elo;
+    var artists = songsByArtist(db);
+    return Object.keys(artists)
+        .map(function(key) { return summarize(artists[key]); })
+        .sort(function(a, b) { return compare(a, b) || a.name.localeCompare(b.name); })
+        .map(function(row, idx) {
+            row.rank = idx + 1;
+            return row;
+        });
+}
+
+// One artist (matched case-insensitively) with each credited song's record
+// and its position on the song leaderboard. Returns null if nobody by that name.
+function artistDetail(db, name) {
+    var artists = songsByArtist(db);
+    var artist = artists[artistKey(name)];
+    if (!artist) return null;
+
+    var songRanks = {};
+    db.prepare('SELECT id FROM songs WHERE active = 1 ORDER BY global_elo DESC, title ASC').all()
+        .forEach(function(row, idx) { songRanks[row.id] = idx + 1; });
+
+    var key = artistKey(artist.name);
+    var summary = summarize(artist);
+    summary.songs = artist.songs.map(function(song) {
+        var battles = song.total_battles || 0;
+        return {
+            id: song.id,
+            title: song.title,
+            artist: song.artist,
+            genre: song.genre,
+            youtube_id: song.youtube_id,
+            global_elo: song.global_elo,
+            rank: songRanks[song.id],
+            battles: battles,
+            wins: song.total_wins || 0,
+            draws: song.total_draws || 0,
+            losses: battles - (song.total_wins || 0) - (song.total_draws || 0),
+            win_rate: winRate(song.total_wins || 0, song.total_draws || 0, battles),
+            with: parseArtistCredits(song.artist).filter(function(credit) {
+                return artistKey(credit) !== key;
+            })
+        };
+    });
+    return summary;
+}
+
+module.exports = {
+    SORTS,
+    artistLeaderboard,
+    artistDetail
+};
@@ -0,0 +1,118 @@
+/*
+  BATTLE-TOKENS.JS - Server-issued battle IDs for Music Battle
+  /api/battle hands out a signed, single-use token bound to the session and
+  the two songs; /api/vote only counts votes that redeem one.
+  Token format: <uuid>.<hmac-sha256 of uuid|session|songA|songB|expiry>
+*/
+
+var crypto = require('crypto');
+var { v4: uuidv4 } = require('uuid');
+
+var TOKEN_TTL_MS = 60 * 60 * 1000; // 1 hour — long enough to listen to both clips
+
+function sign(secret, id, sessionId, songIds, expiresAt) {
+    return crypto.createHmac('sha256', secret)
+        .update([id, sessionId, songIds[0], songIds[1], expiresAt].join('|'))
+        .digest('base64url');
+}
+
+// Same two songs regardless of left/right order
+function samePair(a, b) {
+    return (Number(a[0]) === Number(b[0]) && Number(a[1]) === Number(b[1])) ||
+        (Number(a[0]) === Number(b[1]) && Number(a[1]) === Number(b[0]));
+}
+
+// Issue a token for one served matchup. strategy is the matchmaking strategy
+// that picked it (see matchmaking.js). Returns { battleId, expiresAt }.
+function issueBattleToken(db, secret, sessionId, songIds, strategy) {
+    var id = uuidv4();
+    var expiresAt = new Date(Date.now() + TOKEN_TTL_MS).toISOString();
+
+    // Drop this session's stale, never-voted tokens while we're here
+    db.prepare('DELETE FROM battle_tokens WHERE session_id = ? AND redeemed_at IS NULL AND expires_at < ?')
+        .run(sessionId, new Date().toISOString());
+
+    db.prepare(`
+        INSERT INTO battle_tokens (id, session_id, song_a_id, song_b_id, expires_at, strategy)
+        VALUES (?, ?, ?, ?, ?, ?)
+    `).run(id, sessionId, songIds[0], songIds[1], expiresAt, strategy || null);
+
+    return {
+        battleId: id + '.' + sign(secret, id, sessionId, songIds, expiresAt),
+        expiresAt: expiresAt
+    };
+}
+
+// A token for a matchup the client keeps re-fetching (a tournament's next match, a room
+// round): reuses the session's unvoted token for the same pair while it has at least
+// half its life left, rather than issuing a new one per fetch.
+function servedBattleToken(db, secret, sessionId, songIds, strategy) {
+    var token = db.prepare(`
+        SELECT * FROM battle_tokens
+        WHERE session_id = ? AND song_a_id = ? AND song_b_id = ? AND strategy IS ?
+          AND redeemed_at IS NULL AND expires_at > ?
+        ORDER BY expires_at DESC
+        LIMIT 1
+    `).get(sessionId, songIds[0], songIds[1], strategy || null, new Date(Date.now() + TOKEN_TTL_MS / 2).toISOString());
+    if (!token) return issueBattleToken(db, secret, sessionId, songIds, strategy);
+
+    return {
+        battleId: token.id + '.' + sign(secret, token.id, sessionId, [token.song_a_id, token.song_b_id], token.expires_at),
+        expiresAt: token.expires_at
+    };
+}
+
+// Check and burn a token. Returns { ok: true, token } or { ok: false, status, error }.
+// Callers should redeem inside the same transaction that records the vote.
+function redeemBattleToken(db, secret, battleId, sessionId, songIds) {
+    if (typeof battleId !== 'string' || battleId.indexOf('.') === -1) {
+        return { ok: false, status: 400, error: 'battleId required' };
+    }
+
+    var parts = battleId.split('.');
+    var token = db.prepare('SELECT * FROM battle_tokens WHERE id = ?').get(parts[0]);
+    if (!token || token.session_id !== sessionId) {
+        return { ok: false, status: 403, error: 'Unknown battle' };
+    }
+
+    var expected = sign(secret, token.id, token.session_id, [token.song_a_id, token.song_b_id], token.expires_at);
+    var given = Buffer.from(parts[1] || '');
+    if (given.length !== Buffer.byteLength(expected) || !crypto.timingSafeEqual(given, Buffer.from(expected))) {
+        return { ok: false, status: 403, error: 'Invalid battle signature' };
+    }
+
+    if (!samePair([token.song_a_id, token.song_b_id], songIds)) {
+        return { ok: false, status: 403, error: 'Vote does not match the served battle' };
+    }
+    if (new Date(token.expires_at) < new Date()) {
+        return { ok: false, status: 410, error: 'Battle expired' };
+    }
+
+    var burned = db.prepare('UPDATE battle_tokens SET redeemed_at = CURRENT_TIMESTAMP WHERE id = ? AND redeemed_at IS NULL')
+        .run(token.id);
+    if (burned.changes === 0) {
+        return { ok: false, status: 409, error: 'Battle already voted' };
+    }
+
+    return { ok: true, token: token };
+}
+
+// The session's most recently voted pairs, newest first: [[songA, songB], ...]
+function recentBattlePairs(db, sessionId, limit) {
+    return db.prepare(`
+        SELECT song_a_id, song_b_id FROM battle_tokens
+        WHERE session_id = ? AND redeemed_at IS NOT NULL
+        ORDER BY redeemed_at DESC, rowid DESC
+        LIMIT ?
+    `).all(sessionId, limit || 10).map(function(row) {
+        return [row.song_a_id, row.song_b_id];
+    });
+}
+
+module.exports = {
+    TOKEN_TTL_MS,
+    issueBattleToken,
+    servedBattleToken,
+    redeemBattleToken,
+    recentBattlePairs
+};
@@ -0,0 +1,158 @@
+/*
+  BENCH-MATCHMAKING.JS - Matchmaking speed at catalog scale
+
+  Usage:
+    node bench-matchmaking.js [--songs <n>] [--sessions <n>] [--requests <n>]
+
+  Builds a throwaway database (in a temp directory, never musicbattle.db) with
+  --songs songs (default 10000) and --sessions sessions (default 100000) holding
+  personal ratings, then times /api/battle's pair selection:
+    - uncached: the old per-candidate personal_ratings queries (a sample only)
+    - cached:   rating-cache.js + matchmaking.js, cold and warm owners,
+                with votes invalidating entries between requests
+  Not a test — it prints timings and exits.
+*/
+
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+
+function getFlag(args, name, fallback) {
+    var idx = args.indexOf(name);
+    return idx === -1 ? fallback : Number(args[idx + 1]);
+}
+
+function percentile(sorted, p) {
+    return sorted[Math.min(sorted.length - 1, Math.floor(sorted.length * p))];
+}
+
+// Run fn `count` times and report per-call latency in ms
+function time(label, count, fn) {
+    var samples = [];
+    for (var i = 0; i < count; i++) {
+        var start = process.hrtime.bigint();
+        fn(i);
+        samples.push(Number(process.hrtime.bigint() - start) / 1e6);
+    }
+    samples.sort(function(a, b) { return a - b; });
+    var total = samples.reduce(function(sum, ms) { return sum + ms; }, 0);
+    console.log(label + ': ' + count + ' requests, mean ' + (total / count).toFixed(3) + ' ms, p50 ' +
+        percentile(samples, 0.5).toFixed(3) + ' ms, p95 ' + percentile(samples, 0.95).toFixed(3) + ' ms');
+}
+
+function populate(db, songCount, sessionCount) {
+    var GENRES = ['rock', 'pop', 'hip-hop', 'electronic', 'jazz', 'country', 'r&b', 'metal'];
+    var insertSong = db.prepare(`
+        INSERT INTO songs (title, artist, youtube_id, genre, global_elo, glicko_rating, glicko_rd, total_battles)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+    `);
+    var insertPersonal = db.prepare(`
+        INSERT OR IGNORE INTO personal_ratings (session_id, song_id, elo, glicko_rating, glicko_rd, glicko_vol, battles, wins)
+        VALUES (?, ?, ?, ?, 350, 0.06, 1, 0)
+    `);
+
+    db.transaction(function() {
+        for (var i = 0; i < songCount; i++) {
+            var elo = Math.round(1500 + (Math.random() - 0.5) * 800);
+            insertSong.run('Song ' + i, 'Artist ' + (i % 2000), 'bench' + i, GENRES[i % GENRES.length],
+                elo, elo, 50 + Math.random() * 300, Math.floor(Math.random() * 200));
+        }
+    })();
+
+    var ids = db.prepare('SELECT id FROM songs').all().map(function(row) { return row.id; });
+
+    // Most sessions rate a handful of songs; a few are heavy voters
+    db.transaction(function() {
+        for (var s = 0; s < sessionCount; s++) {
+            var rated = s % 100 === 0 ? 200 : 1 + Math.floor(Math.random() * 10);
+            for (var r = 0; r < rated; r++) {
+                var elo = Math.round(1500 + (Math.random() - 0.5) * 800);
+                insertPersonal.run('bench-' + s, ids[Math.floor(Math.random() * ids.length)], elo, elo);
+            }
+        }
+    })();
+}
+
+// /api/battle's selection before the cache: every candidate is a personal_ratings query
+function uncachedPair(db, owner) {
+    var allSongs = db.prepare('SELECT * FROM songs WHERE active = 1').all();
+    var seed = allSongs[Math.floor(Math.random() * allSongs.length)];
+    var personalElo = db.prepare('SELECT elo FROM personal_ratings WHERE session_id = ? AND song_id = ?');
+    var ratingOf = function(song) {
+        var personal = personalElo.get(owner, song.id);
+        return personal ? personal.elo : song.global_elo;
+    };
+    var seedElo = ratingOf(seed);
+    var candidates = allSongs.filter(function(s) {
+        return s.id !== seed.id && Math.abs(ratingOf(s) - seedElo) <= 150;
+    });
+    return [seed, candidates[0]];
+}
+
+function main(args) {
+    var songCount = getFlag(args, '--songs', 10000);
+    var sessionCount = getFlag(args, '--sessions', 100000);
+    var requests = getFlag(args, '--requests', 2000);
+
+    // db.js opens musicbattle.db in the working directory — point it somewhere disposable
+    var dir = fs.mkdtempSync(path.join(os.tmpdir(), 'music-battle-bench-'));
+    process.chdir(dir);
+    delete process.env.NODE_ENV;
+
+    try {
+        var db = require('./db');
+        var RatingCache = require('./rating-cache');
+        var { pickPair } = require('./matchmaking');
+
+        var start = Date.now();
+        populate(db, songCount, sessionCount);
+        var counts = db.prepare('SELECT (SELECT COUNT(*) FROM songs) as songs, (SELECT COUNT(*) FROM personal_ratings) as ratings').get();
+        console.log('Built ' + counts.songs + ' songs, ' + sessionCount + ' sessions, ' +
+            counts.ratings + ' personal ratings in ' + (Date.now() - start) + ' ms\n');
+
+        var owner = function(i) { return 'bench-' + ((i * 7919) % sessionCount); };
+
+        time('uncached (sample)', Math.min(20, requests), function(i) {
+            uncachedPair(db, owner(i));
+        });
+
+        var cache = new RatingCache(db);
+        start = Date.now();
+        cache.size();
+        console.log('cache load: ' + (Date.now() - start) + ' ms');
+
+        ['elo-window', 'info-gain'].forEach(function(strategy) {
+            time('cached ' + strategy + ', cold owners', requests, function(i) {
+                var view = cache.view(owner(i));
+                pickPair(strategy, { songs: view.songs, ranked: view.ranked, ratingOf: view.ratingOf, inRange: view.inRange });
+            });
+            time('cached ' + strategy + ', warm owners', requests, function(i) {
+                var view = cache.view(owner(i % 50));
+                pickPair(strategy, { songs: view.songs, ranked: view.ranked, ratingOf: view.ratingOf, inRange: view.inRange });
+            });
+        });
+
+        // A vote between battles: two songs and the voter's ratings get re-read
+        var songIds = db.prepare('SELECT id FROM songs').all().map(function(row) { return row.id; });
+        var bumpSong = db.prepare('UPDATE songs SET global_elo = global_elo + 8 WHERE id = ?');
+        time('cached elo-window, vote before each battle', requests, function(i) {
+            var a = songIds[i % songIds.length];
+            var b = songIds[(i * 31 + 1) % songIds.length];
+            bumpSong.run(a);
+            bumpSong.run(b);
+            cache.songsChanged([a, b]);
+            cache.ownerChanged(owner(i % 50));
+            var view = cache.view(owner(i % 50));
+            pickPair('elo-window', { songs: view.songs, ratingOf: view.ratingOf, inRange: view.inRange });
+        });
+
+        console.log('\nheap used: ' + Math.round(process.memoryUsage().heapUsed / 1024 / 1024) + ' MB');
+        db.close();
+    } finally {
+        process.chdir(__dirname);
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+    return 0;
+}
+
+process.exitCode = main(process.argv.slice(2));
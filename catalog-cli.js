@@ -0,0 +1,108 @@
+/*
+  CATALOG-CLI.JS - Bulk catalog import/export from the command line
+
+  Usage:
+    node catalog-cli.js import <file.csv|file.json> [--apply]
+    node catalog-cli.js export [--format csv|json] [--out <file>]
+
+  Import is a dry run unless --apply is given.
+*/
+
+require('dotenv').config({ quiet: true });
+const fs = require('fs');
+const path = require('path');
+const db = require('./db');
+const { parseCatalog, planImport, applyImport, exportCatalog } = require('./catalog');
+
+function getFlag(args, name) {
+    var idx = args.indexOf(name);
+    if (idx === -1) return undefined;
+    return args[idx + 1];
+}
+
+function formatFromPath(file) {
+    var ext = path.extname(file).toLowerCase();
+    if (ext === '.csv') return 'csv';
+    if (ext === '.json') return 'json';
+    return null;
+}
+
+function printReport(plan) {
+    var s = plan.summary;
+    console.log('Rows: ' + s.total + ' | new: ' + s.insert + ' | duplicates: ' + s.duplicate + ' | invalid: ' + s.invalid);
+
+    plan.toInsert.forEach(function(entry) {
+        console.log('  + row ' + entry.row + ': ' + entry.song.title + ' - ' + entry.song.artist + ' [' + entry.song.youtube_id + ']');
+    });
+    plan.duplicates.forEach(function(entry) {
+        var target = entry.existingId ? 'song #' + entry.existingId : 'an earlier row';
+        console.log('  = row ' + entry.row + ': ' + entry.song.title + ' - ' + entry.song.artist + ' (same ' + entry.reason + ' as ' + target + ')');
+    });
+    plan.invalid.forEach(function(entry) {
+        console.log('  ! row ' + entry.row + ': ' + entry.errors.join(', '));
+    });
+}
+
+function runImport(args) {
+    var file = args[0];
+    if (!file) {
+        console.error('Usage: node catalog-cli.js import <file.csv|file.json> [--apply]');
+        return 1;
+    }
+
+    var format = getFlag(args, '--format') || formatFromPath(file);
+    if (format !== 'csv' && format !== 'json') {
+        console.error('Unknown format — use a .csv/.json file or pass --format csv|json');
+        return 1;
+    }
+
+    var rows;
+    try {
+        rows = parseCatalog(fs.readFileSync(file, 'utf8'), format);
+    } catch (e) {
+        console.error('Could not read ' + file + ': ' + e.message);
+        return 1;
+    }
+
+    var plan = planImport(db, rows);
+    printReport(plan);
+
+    if (args.indexOf('--apply') === -1) {
+        console.log('Dry run — nothing written. Re-run with --apply to import.');
+        return 0;
+    }
+
+    var ids = applyImport(db, plan);
+    console.log('Imported ' + ids.length + ' songs.');
+    return 0;
+}
+
+function runExport(args) {
+    var format = getFlag(args, '--format') || 'csv';
+    if (format !== 'csv' && format !== 'json') {
+        console.error('Unknown format — use csv or json');
+        return 1;
+    }
+
+    var output = exportCatalog(db, format);
+    var out = getFlag(args, '--out');
+    if (out) {
+        fs.writeFileSync(out, output);
+        console.log('Exported catalog to ' + out);
+    } else {
+        process.stdout.write(output);
+    }
+    return 0;
+}
+
+var command = process.argv[2];
+var rest = process.argv.slice(3);
+
+if (command === 'import') {
+    process.exitCode = runImport(rest);
+} else if (command === 'export') {
+    process.exitCode = runExport(rest);
+} else {
+    console.error('Usage: node catalog-cli.js <import|export> ...');
+    process.exitCode = 1;
+}
@@ -0,0 +1,320 @@
+/*
+  CATALOG.JS - Song catalog helpers for Music Battle
+  Validation, CSV/JSON import + export shared by the admin routes and catalog-cli.js
+*/
+
+// YouTube video IDs are always 11 chars of [A-Za-z0-9_-]
+var YOUTUBE_ID_PATTERN = /^[A-Za-z0-9_-]{11}$/;
+
+// Fields an admin is allowed to set on a song
+var EDITABLE_FIELDS = ['title', 'artist', 'youtube_id', 'start_time', 'genre'];
+
+// Columns written by exportCatalog (import reads the first five, ignores the rest)
+var EXPORT_FIELDS = EDITABLE_FIELDS.concat(['global_elo', 'total_battles', 'total_wins']);
+
+function isValidYouTubeId(id) {
+    return typeof id === 'string' && YOUTUBE_ID_PATTERN.test(id);
+}
+
+function normalizeGenre(genre) {
+    if (genre === undefined || genre === null) return 'untagged';
+    var clean = String(genre).trim().toLowerCase();
+    return clean || 'untagged';
+}
+
+// ?genre=rock,pop or ?genre=rock&genre=pop -> ['rock', 'pop'] (empty = no filter)
+function parseGenreList(value) {
+    var list = Array.isArray(value) ? value : (value === undefined || value === null ? [] : [value]);
+    var genres = [];
+    list.forEach(function(item) {
+        String(item).split(',').forEach(function(part) {
+            if (!part.trim()) return;
+            var genre = normalizeGenre(part);
+            if (genres.indexOf(genre) === -1) genres.push(genre);
+        });
+    });
+    return genres;
+}
+
+// Separators between credited artists: "ft." / "feat." / "featuring", "&", " x ", "vs.".
+// A bare comma is part of plenty of names ("Tyler, The Creator"), so it only separates
+// inside the list that follows a featuring keyword ("feat. A, B & C").
+var CREDIT_SEPARATOR = /\s*(?:\(|\))\s*|\s+(?:ft\.?|feat\.?|featuring|with|x|vs\.?)\s+|\s*&\s*/i;
+var FEATURING = /\s+\(?(?:ft\.?|feat\.?|featuring|with)\s+/i;
+
+// Acts whose own name contains a separator (lowercase) — never split these
+var ARTIST_GROUPS = ['simon & garfunkel', 'hall & oates', 'earth, wind & fire', 'crosby, stills, nash & young',
+    'florence & the machine', 'mumford & sons', 'brooks & dunn', 'big & rich', 'sam & dave', 'peaches & herb',
+    'tyler, the creator'];
+
+// Case/spacing-insensitive key for an artist name
+function artistKey(name) {
+    return String(name || '').trim().replace(/\s+/g, ' ').toLowerCase();
+}
+
+// "David Guetta ft. Sia" -> ['David Guetta', 'Sia']; "Post Malone & Swae Lee" -> both;
+// "Tyler, The Creator" stays one. Known group names (ARTIST_GROUPS) stay whole. Duplicates are dropped.
+function parseArtistCredits(artist) {
+    var text = String(artist || '').trim().replace(/\s+/g, ' ');
+    var groups = [];
+    ARTIST_GROUPS.forEach(function(group) {
+        var idx = text.toLowerCase().indexOf(group);
+        if (idx === -1) return;
+        groups.push(text.slice(idx, idx + group.length));
+        text = text.slice(0, idx) + ' & ' + text.slice(idx + group.length);
+    });
+
+    var featuring = FEATURING.exec(text);
+    var lead = featuring ? text.slice(0, featuring.index) : text;
+    var featured = featuring ? text.slice(featuring.index).split(CREDIT_SEPARATOR).reduce(function(names, piece) {
+        return names.concat(piece.split(','));
+    }, []) : [];
+
+    var credits = [];
+    var seen = {};
+    groups.concat(lead.split(CREDIT_SEPARATOR), featured).forEach(function(name) {
+        // "(feat. X)" leaves the keyword at the front of the piece
+        name = name.trim().replace(/^(?:ft\.?|feat\.?|featuring|with)\s+/i, '');
+        var key = artistKey(name);
+        if (!key || seen[key]) return;
+        seen[key] = true;
+        credits.push(name);
+    });
+    return credits;
+}
+
+// Validate song fields from a request body.
+// partial = true for edits (only the fields present are checked).
+// Returns { song, errors } — song holds only the cleaned fields that were given.
+function validateSong(input, partial) {
+    var song = {};
+    var errors = [];
+    input = input || {};
+
+    EDITABLE_FIELDS.forEach(function(field) {
+        if (input[field] === undefined) {
+            if (!partial && (field === 'title' || field === 'artist' || field === 'youtube_id')) {
+                errors.push(field + ' is required');
+            }
+            return;
+        }
+
+        var value = input[field];
+
+        if (field === 'title' || field === 'artist') {
+            value = typeof value === 'string' ? value.trim() : '';
+            if (!value) errors.push(field + ' must be a non-empty string');
+        } else if (field === 'youtube_id') {
+            value = typeof value === 'string' ? value.trim() : value;
+            if (!isValidYouTubeId(value)) errors.push('youtube_id must be an 11-character YouTube video ID');
+        } else if (field === 'start_time') {
+            value = Number(value);
+            if (!Number.isInteger(value) || value < 0) errors.push('start_time must be a non-negative integer');
+        } else if (field === 'genre') {
+            value = normalizeGenre(value);
+        }
+
+        song[field] = value;
+    });
+
+    if (!partial) {
+        if (song.start_time === undefined) song.start_time = 0;
+        if (song.genre === undefined) song.genre = 'untagged';
+    }
+
+    return { song: song, errors: errors };
+}
+
+// ============================================
+// CSV
+// ============================================
+
+// Parse CSV text into an array of objects keyed by the header row.
+// Handles quoted fields, escaped quotes ("") and newlines inside quotes.
+function parseCsv(text) {
+    var rows = [];
+    var row = [];
+    var field = '';
+    var inQuotes = false;
+
+    text = String(text).replace(/^\uFEFF/, '');
+
+    for (var i = 0; i < text.length; i++) {
+        var ch = text[i];
+        if (inQuotes) {
+            if (ch === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (ch === '"') {
+                inQuotes = false;
+            } else {
+                field += ch;
+            }
+        } else if (ch === '"') {
+            inQuotes = true;
+        } else if (ch === ',') {
+            row.push(field);
+            field = '';
+        } else if (ch === '\n' || ch === '\r') {
+            if (ch === '\r' && text[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += ch;
+        }
+    }
+    if (field !== '' || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+
+    // Drop blank lines
+    rows = rows.filter(function(r) { return r.length > 1 || r[0].trim() !== ''; });
+    if (rows.length === 0) return [];
+
+    var header = rows[0].map(function(h) { return h.trim().toLowerCase(); });
+    return rows.slice(1).map(function(r) {
+        var obj = {};
+        header.forEach(function(name, idx) {
+            if (r[idx] !== undefined && r[idx] !== '') obj[name] = r[idx];
+        });
+        return obj;
+    });
+}
+
+function csvEscape(value) {
+    if (value === null || value === undefined) return '';
+    var str = String(value);
+    if (/[",\r\n]/.test(str)) return '"' + str.replace(/"/g, '""') + '"';
+    return str;
+}
+
+function toCsv(rows, fields) {
+    var lines = [fields.join(',')];
+    rows.forEach(function(row) {
+        lines.push(fields.map(function(f) { return csvEscape(row[f]); }).join(','));
+    });
+    return lines.join('\n') + '\n';
+}
+
+// ============================================
+// IMPORT / EXPORT
+// ============================================
+
+// Turn file contents into raw song objects. format is 'csv' or 'json'.
+// JSON may be a bare array or { songs: [...] }.
+function parseCatalog(content, format) {
+    if (format === 'csv') return parseCsv(content);
+
+    var data = typeof content === 'string' ? JSON.parse(content) : content;
+    if (data && Array.isArray(data.songs)) data = data.songs;
+    if (!Array.isArray(data)) throw new Error('JSON catalog must be an array of songs');
+    return data;
+}
+
+function titleArtistKey(song) {
+    return String(song.title).trim().toLowerCase() + '\u0000' + String(song.artist).trim().toLowerCase();
+}
+
+// Work out what an import would do without writing anything.
+// Returns { toInsert, duplicates, invalid, summary } — each entry carries
+// its 1-based row number so the report can point back into the file.
+function planImport(db, rawSongs) {
+    var existing = db.prepare('SELECT id, title, artist, youtube_id FROM songs').all();
+    var byYouTubeId = {};
+    var byTitleArtist = {};
+    existing.forEach(function(s) {
+        byYouTubeId[s.youtube_id] = s;
+        byTitleArtist[titleArtistKey(s)] = s;
+    });
+
+    var toInsert = [];
+    var duplicates = [];
+    var invalid = [];
+
+    rawSongs.forEach(function(raw, idx) {
+        var rowNum = idx + 1;
+        var input = {};
+        EDITABLE_FIELDS.forEach(function(f) {
+            if (raw[f] !== undefined && raw[f] !== '') input[f] = raw[f];
+        });
+
+        var result = validateSong(input, false);
+        if (result.errors.length > 0) {
+            invalid.push({ row: rowNum, input: raw, errors: result.errors });
+            return;
+        }
+
+        var song = result.song;
+        var key = titleArtistKey(song);
+        var match = byYouTubeId[song.youtube_id] || byTitleArtist[key];
+        if (match) {
+            duplicates.push({
+                row: rowNum,
+                song: song,
+                reason: byYouTubeId[song.youtube_id] ? 'youtube_id' : 'title+artist',
+                existingId: match.id || null
+            });
+            return;
+        }
+
+        // Rows earlier in the same file count as existing too
+        var pending = { id: null, title: song.title, artist: song.artist, youtube_id: song.youtube_id };
+        byYouTubeId[song.youtube_id] = pending;
+        byTitleArtist[key] = pending;
+        toInsert.push({ row: rowNum, song: song });
+    });
+
+    return {
+        toInsert: toInsert,
+        duplicates: duplicates,
+        invalid: invalid,
+        summary: {
+            total: rawSongs.length,
+            insert: toInsert.length,
+            duplicate: duplicates.length,
+            invalid: invalid.length
+        }
+    };
+}
+
+// Write a plan's new songs in one transaction. Returns the inserted ids.
+function applyImport(db, plan) {
+    var insert = db.prepare(`
+        INSERT INTO songs (title, artist, youtube_id, start_time, genre, votes)
+        VALUES (?, ?, ?, ?, ?, 0)
+    `);
+    var run = db.transaction(function(entries) {
+        return entries.map(function(entry) {
+            var s = entry.song;
+            return Number(insert.run(s.title, s.artist, s.youtube_id, s.start_time, s.genre).lastInsertRowid);
+        });
+    });
+    return run(plan.toInsert);
+}
+
+// Dump the catalog as CSV or JSON (same columns either way)
+function exportCatalog(db, format) {
+    var songs = db.prepare('SELECT ' + EXPORT_FIELDS.join(', ') + ' FROM songs ORDER BY id').all();
+    if (format === 'csv') return toCsv(songs, EXPORT_FIELDS);
+    return JSON.stringify(songs, null, 2) + '\n';
+}
+
+module.exports = {
+    EDITABLE_FIELDS,
+    EXPORT_FIELDS,
+    isValidYouTubeId,
+    normalizeGenre,
+    parseGenreList,
+    artistKey,
+    parseArtistCredits,
+    validateSong,
+    parseCsv,
+    toCsv,
+    parseCatalog,
+    planImport,
+    applyImport,
+    exportCatalog
+};
@@ -0,0 +1,482 @@
+/*
+  DB.JS - Music Battle Database
+  Opens SQLite, creates tables, runs migrations and seeds the catalog.
+  Shared by server.js and the command-line tools.
+*/
+
+const Database = require('better-sqlite3');
+
+// ============================================
+// DATABASE SETUP
+// ============================================
+
+// Use Railway volume path in production for persistence across deploys.
+// DB_PATH overrides both (the tests use ':memory:').
+const dbPath = process.env.DB_PATH || (process.env.NODE_ENV === 'production' ? '/app/data/musicbattle.db' : 'musicbattle.db');
+const db = new Database(dbPath);
+
+// WAL + a busy timeout let several server processes share the file (sessions live here too)
+db.pragma('journal_mode = WAL');
+db.pragma('busy_timeout = 5000');
+
+// Create tables
+db.exec(`
+  -- Songs table
+  CREATE TABLE IF NOT EXISTS songs (
+    id INTEGER PRIMARY KEY,
+    title TEXT NOT NULL,
+    artist TEXT NOT NULL,
+    youtube_id TEXT NOT NULL,
+    start_time INTEGER DEFAULT 0,
+    votes INTEGER DEFAULT 0
+  );
+
+  -- Users table
+  CREATE TABLE IF NOT EXISTS users (
+    id TEXT PRIMARY KEY,
+    username TEXT UNIQUE NOT NULL,
+    email TEXT UNIQUE NOT NULL,
+    password_hash TEXT NOT NULL,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  );
+
+  -- Votes table (tracks user)
+  -- For tie/neither outcomes winner_id/loser_id are just the two songs as shown
+  CREATE TABLE IF NOT EXISTS votes (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    user_id TEXT,
+    winner_id INTEGER NOT NULL,
+    loser_id INTEGER NOT NULL,
+    voted_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (user_id) REFERENCES users(id),
+    FOREIGN KEY (winner_id) REFERENCES songs(id),
+    FOREIGN KEY (loser_id) REFERENCES songs(id)
+  );
+
+  -- User preferences (legacy, kept for compat)
+  CREATE TABLE IF NOT EXISTS user_preferences (
+    user_id TEXT,
+    artist TEXT,
+    score INTEGER DEFAULT 0,
+    PRIMARY KEY (user_id, artist),
+    FOREIGN KEY (user_id) REFERENCES users(id)
+  );
+
+  -- Personal Elo ratings (per owner, per song)
+  -- In the personal tables below session_id holds an owner key: the session ID,
+  -- or 'user:<id>' for logged-in users (see accounts.js)
+  CREATE TABLE IF NOT EXISTS personal_ratings (
+    session_id TEXT NOT NULL,
+    song_id INTEGER NOT NULL,
+    elo INTEGER DEFAULT 1500,
+    battles INTEGER DEFAULT 0,
+    wins INTEGER DEFAULT 0,
+    PRIMARY KEY (session_id, song_id),
+    FOREIGN KEY (song_id) REFERENCES songs(id)
+  );
+
+  -- Genre affinity (per owner)
+  CREATE TABLE IF NOT EXISTS genre_affinity (
+    session_id TEXT NOT NULL,
+    genre TEXT NOT NULL,
+    wins INTEGER DEFAULT 0,
+    total_battles INTEGER DEFAULT 0,
+    PRIMARY KEY (session_id, genre)
+  );
+
+  -- Named playlists (per owner, see playlists.js)
+  CREATE TABLE IF NOT EXISTS playlists (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    session_id TEXT NOT NULL,
+    name TEXT NOT NULL,
+    position INTEGER NOT NULL DEFAULT 0,
+    youtube_playlist_id TEXT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(session_id, name)
+  );
+
+  -- Songs in each playlist, in the owner's order
+  CREATE TABLE IF NOT EXISTS user_playlists (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    playlist_id INTEGER NOT NULL,
+    song_id INTEGER NOT NULL,
+    position INTEGER NOT NULL DEFAULT 0,
+    added_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (playlist_id) REFERENCES playlists(id),
+    FOREIGN KEY (song_id) REFERENCES songs(id),
+    UNIQUE(playlist_id, song_id)
+  );
+
+  -- YouTube OAuth tokens (per owner)
+  CREATE TABLE IF NOT EXISTS youtube_tokens (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    session_id TEXT NOT NULL,
+    username TEXT,
+    access_token TEXT NOT NULL,
+    refresh_token TEXT NOT NULL,
+    token_expiry DATETIME NOT NULL,
+    playlist_id TEXT,
+    connected_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(session_id)
+  );
+
+  -- Rating snapshots after every change (session_id NULL = global rating, else owner key)
+  CREATE TABLE IF NOT EXISTS rating_history (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    song_id INTEGER NOT NULL,
+    session_id TEXT,
+    vote_id INTEGER,
+    elo INTEGER NOT NULL,
+    glicko_rating REAL,
+    glicko_rd REAL,
+    recorded_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (song_id) REFERENCES songs(id),
+    FOREIGN KEY (vote_id) REFERENCES votes(id)
+  );
+  CREATE INDEX IF NOT EXISTS idx_rating_history_song ON rating_history(song_id, session_id, recorded_at);
+
+  -- Single-use battle tokens issued by /api/battle and redeemed by /api/vote
+  CREATE TABLE IF NOT EXISTS battle_tokens (
+    id TEXT PRIMARY KEY,
+    session_id TEXT NOT NULL,
+    song_a_id INTEGER NOT NULL,
+    song_b_id INTEGER NOT NULL,
+    issued_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    expires_at TEXT NOT NULL,
+    redeemed_at DATETIME,
+    strategy TEXT
+  );
+  CREATE INDEX IF NOT EXISTS idx_battle_tokens_session ON battle_tokens(session_id, redeemed_at);
+
+  -- express-session store (see session-store.js); expires is epoch ms
+  CREATE TABLE IF NOT EXISTS sessions (
+    sid TEXT PRIMARY KEY,
+    sess TEXT NOT NULL,
+    expires INTEGER NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS idx_sessions_expires ON sessions(expires);
+
+  -- Suspicious voting patterns raised by abuse.js, reviewed by admins
+  CREATE TABLE IF NOT EXISTS vote_flags (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    reason TEXT NOT NULL,
+    session_id TEXT,
+    user_id TEXT,
+    ip TEXT,
+    details TEXT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    resolved_at DATETIME,
+    resolution TEXT
+  );
+
+  -- Single-elimination tournaments (see tournament.js)
+  CREATE TABLE IF NOT EXISTS tournaments (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    session_id TEXT NOT NULL,
+    user_id TEXT,
+    name TEXT NOT NULL,
+    size INTEGER NOT NULL,
+    genre TEXT,
+    feeds_global INTEGER DEFAULT 0,
+    status TEXT DEFAULT 'active',
+    champion_id INTEGER,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    completed_at DATETIME,
+    FOREIGN KEY (champion_id) REFERENCES songs(id)
+  );
+
+  CREATE TABLE IF NOT EXISTS tournament_entries (
+    tournament_id INTEGER NOT NULL,
+    song_id INTEGER NOT NULL,
+    seed INTEGER NOT NULL,
+    PRIMARY KEY (tournament_id, song_id),
+    FOREIGN KEY (tournament_id) REFERENCES tournaments(id),
+    FOREIGN KEY (song_id) REFERENCES songs(id)
+  );
+
+  CREATE TABLE IF NOT EXISTS tournament_matches (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    tournament_id INTEGER NOT NULL,
+    round INTEGER NOT NULL,
+    slot INTEGER NOT NULL,
+    song_a_id INTEGER,
+    song_b_id INTEGER,
+    winner_id INTEGER,
+    vote_id INTEGER,
+    decided_at DATETIME,
+    UNIQUE(tournament_id, round, slot),
+    FOREIGN KEY (tournament_id) REFERENCES tournaments(id),
+    FOREIGN KEY (vote_id) REFERENCES votes(id)
+  );
+
+  -- Party rooms: one host, many devices, same matchup (see rooms.js)
+  CREATE TABLE IF NOT EXISTS rooms (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    code TEXT UNIQUE NOT NULL,
+    host_session_id TEXT NOT NULL,
+    host_user_id TEXT,
+    name TEXT NOT NULL,
+    genre TEXT,
+    feeds_global INTEGER DEFAULT 0,
+    vote_seconds INTEGER DEFAULT 20,
+    status TEXT DEFAULT 'open',
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    closed_at DATETIME
+  );
+
+  CREATE TABLE IF NOT EXISTS room_participants (
+    room_id INTEGER NOT NULL,
+    session_id TEXT NOT NULL,
+    user_id TEXT,
+    display_name TEXT NOT NULL,
+    joined_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (room_id, session_id),
+    FOREIGN KEY (room_id) REFERENCES rooms(id)
+  );
+
+  CREATE TABLE IF NOT EXISTS room_rounds (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    room_id INTEGER NOT NULL,
+    round INTEGER NOT NULL,
+    song_a_id INTEGER NOT NULL,
+    song_b_id INTEGER NOT NULL,
+    opened_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    closes_at DATETIME NOT NULL,
+    revealed_at DATETIME,
+    outcome TEXT,
+    winner_id INTEGER,
+    UNIQUE(room_id, round),
+    FOREIGN KEY (room_id) REFERENCES rooms(id),
+    FOREIGN KEY (song_a_id) REFERENCES songs(id),
+    FOREIGN KEY (song_b_id) REFERENCES songs(id)
+  );
+
+  -- Every participant's pick; vote_id links to votes when the room feeds global ratings
+  CREATE TABLE IF NOT EXISTS room_votes (
+    round_id INTEGER NOT NULL,
+    session_id TEXT NOT NULL,
+    user_id TEXT,
+    song_id INTEGER NOT NULL,
+    vote_id INTEGER,
+    voted_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (round_id, session_id),
+    FOREIGN KEY (round_id) REFERENCES room_rounds(id),
+    FOREIGN KEY (vote_id) REFERENCES votes(id)
+  );
+
+  -- Public links to a playlist or personal top 10 (see shares.js).
+  -- session_id is the owner key; published_at is NULL while unpublished.
+  CREATE TABLE IF NOT EXISTS shares (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    slug TEXT UNIQUE NOT NULL,
+    session_id TEXT NOT NULL,
+    kind TEXT NOT NULL,
+    playlist_id INTEGER,
+    published_at DATETIME,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (playlist_id) REFERENCES playlists(id)
+  );
+  CREATE UNIQUE INDEX IF NOT EXISTS idx_shares_list ON shares(session_id, kind, COALESCE(playlist_id, 0));
+
+  -- YouTube sync queue (see youtube-sync.js): one row per playlist song,
+  -- action add | remove (song left the playlist), status pending | synced | failed
+  CREATE TABLE IF NOT EXISTS youtube_sync_jobs (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    playlist_id INTEGER NOT NULL,
+    song_id INTEGER NOT NULL,
+    action TEXT NOT NULL DEFAULT 'add',
+    status TEXT NOT NULL DEFAULT 'pending',
+    attempts INTEGER NOT NULL DEFAULT 0,
+    next_attempt_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    last_error TEXT,
+    synced_at DATETIME,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(playlist_id, song_id),
+    FOREIGN KEY (playlist_id) REFERENCES playlists(id),
+    FOREIGN KEY (song_id) REFERENCES songs(id)
+  );
+  CREATE INDEX IF NOT EXISTS idx_youtube_sync_due ON youtube_sync_jobs(status, next_attempt_at);
+
+  -- YouTube API units spent per quota day (Pacific date, when Google resets)
+  CREATE TABLE IF NOT EXISTS youtube_quota (
+    day TEXT PRIMARY KEY,
+    units INTEGER NOT NULL DEFAULT 0
+  );
+`);
+
+// ============================================
+// SEED CATALOG — only used to fill an empty songs table
+// (the live catalog is managed through /api/admin/songs)
+// ============================================
+
+const seedSongs = require('./seed-songs.json');
+
+// ============================================
+// MIGRATION: Add Elo columns to songs table
+// ============================================
+
+var columns = db.pragma('table_info(songs)').map(function(c) { return c.name; });
+if (!columns.includes('global_elo')) {
+  db.exec('ALTER TABLE songs ADD COLUMN global_elo INTEGER DEFAULT 1500');
+  db.exec('ALTER TABLE songs ADD COLUMN total_battles INTEGER DEFAULT 0');
+  db.exec('ALTER TABLE songs ADD COLUMN total_wins INTEGER DEFAULT 0');
+  db.exec("ALTER TABLE songs ADD COLUMN genre TEXT DEFAULT 'untagged'");
+  db.exec('ALTER TABLE songs ADD COLUMN prev_elo INTEGER DEFAULT 1500');
+
+  // Migrate: set total_wins from existing votes count
+  db.exec('UPDATE songs SET total_wins = votes');
+
+  // Migrate: calculate total_battles from votes table
+  var battleCounts = db.prepare(`
+    SELECT song_id, COUNT(*) as battles FROM (
+      SELECT winner_id as song_id FROM votes
+      UNION ALL
+      SELECT loser_id as song_id FROM votes
+    ) GROUP BY song_id
+  `).all();
+  var updateBattles = db.prepare('UPDATE songs SET total_battles = ? WHERE id = ?');
+  battleCounts.forEach(function(row) {
+    updateBattles.run(row.battles, row.song_id);
+  });
+
+  // Migrate: tag the original songs with their genres
+  var updateGenre = db.prepare("UPDATE songs SET genre = ? WHERE id = ? AND genre = 'untagged'");
+  seedSongs.forEach(function(song) {
+    updateGenre.run(song.genre, song.id);
+  });
+
+  console.log('Migrated songs table with Elo columns!');
+}
+
+// MIGRATION: Soft-delete flag so retired songs keep their vote history
+columns = db.pragma('table_info(songs)').map(function(c) { return c.name; });
+if (!columns.includes('active')) {
+  db.exec('ALTER TABLE songs ADD COLUMN active INTEGER DEFAULT 1');
+  console.log('Migrated songs table with active flag!');
+}
+
+// MIGRATION: Glicko-2 columns next to the Elo ones (songs + personal ratings)
+columns = db.pragma('table_info(songs)').map(function(c) { return c.name; });
+if (!columns.includes('glicko_rating')) {
+  db.exec('ALTER TABLE songs ADD COLUMN glicko_rating REAL DEFAULT 1500');
+  db.exec('ALTER TABLE songs ADD COLUMN glicko_rd REAL DEFAULT 350');
+  db.exec('ALTER TABLE songs ADD COLUMN glicko_vol REAL DEFAULT 0.06');
+  db.exec('ALTER TABLE songs ADD COLUMN glicko_prev REAL DEFAULT 1500');
+  console.log('Migrated songs table with Glicko-2 columns!');
+}
+
+var personalColumns = db.pragma('table_info(personal_ratings)').map(function(c) { return c.name; });
+if (!personalColumns.includes('glicko_rating')) {
+  db.exec('ALTER TABLE personal_ratings ADD COLUMN glicko_rating REAL DEFAULT 1500');
+  db.exec('ALTER TABLE personal_ratings ADD COLUMN glicko_rd REAL DEFAULT 350');
+  db.exec('ALTER TABLE personal_ratings ADD COLUMN glicko_vol REAL DEFAULT 0.06');
+  console.log('Migrated personal_ratings table with Glicko-2 columns!');
+}
+
+// MIGRATION: Vote outcomes (win / tie / neither) + draw counters
+var voteColumns = db.pragma('table_info(votes)').map(function(c) { return c.name; });
+if (!voteColumns.includes('outcome')) {
+  db.exec("ALTER TABLE votes ADD COLUMN outcome TEXT DEFAULT 'win'");
+  db.exec('ALTER TABLE songs ADD COLUMN total_draws INTEGER DEFAULT 0');
+  db.exec('ALTER TABLE personal_ratings ADD COLUMN draws INTEGER DEFAULT 0');
+  db.exec('ALTER TABLE genre_affinity ADD COLUMN draws INTEGER DEFAULT 0');
+  console.log('Migrated votes table with outcome column!');
+}
+
+// MIGRATION: Link each vote to the battle token it redeemed
+voteColumns = db.pragma('table_info(votes)').map(function(c) { return c.name; });
+if (!voteColumns.includes('battle_id')) {
+  db.exec('ALTER TABLE votes ADD COLUMN battle_id TEXT');
+  console.log('Migrated votes table with battle_id column!');
+}
+
+// MIGRATION: Who cast each vote + an invalidation mark for abuse cleanup
+voteColumns = db.pragma('table_info(votes)').map(function(c) { return c.name; });
+if (!voteColumns.includes('session_id')) {
+  db.exec('ALTER TABLE votes ADD COLUMN session_id TEXT');
+  db.exec('ALTER TABLE votes ADD COLUMN ip TEXT');
+  db.exec('ALTER TABLE votes ADD COLUMN invalidated_at DATETIME');
+  // Older votes can still be traced to a session through their battle token
+  db.exec('UPDATE votes SET session_id = (SELECT session_id FROM battle_tokens t WHERE t.id = votes.battle_id) WHERE battle_id IS NOT NULL');
+  console.log('Migrated votes table with session_id, ip and invalidated_at columns!');
+}
+// MIGRATION: Votes cast in a party room that feeds global ratings
+voteColumns = db.pragma('table_info(votes)').map(function(c) { return c.name; });
+if (!voteColumns.includes('room_id')) {
+  db.exec('ALTER TABLE votes ADD COLUMN room_id INTEGER');
+  console.log('Migrated votes table with room_id column!');
+}
+// MIGRATION: Sync jobs can also remove a video from YouTube
+var syncJobColumns = db.pragma('table_info(youtube_sync_jobs)').map(function(c) { return c.name; });
+if (!syncJobColumns.includes('action')) {
+  db.exec("ALTER TABLE youtube_sync_jobs ADD COLUMN action TEXT NOT NULL DEFAULT 'add'");
+  console.log('Migrated youtube_sync_jobs table with action column!');
+}
+
+// MIGRATION: One flat list per owner -> named playlists.
+// SQLite can't drop the old UNIQUE(session_id, song_id), so the table is rebuilt:
+// each owner's songs become a "Favorites" playlist (mapped to the YouTube playlist
+// they already sync to), in the order they were shown — newest first.
+var playlistColumns = db.pragma('table_info(user_playlists)').map(function(c) { return c.name; });
+if (!playlistColumns.includes('playlist_id')) {
+  db.transaction(function() {
+    db.exec(`
+      INSERT INTO playlists (session_id, name, position, youtube_playlist_id)
+      SELECT DISTINCT u.session_id, 'Favorites', 0,
+        (SELECT t.playlist_id FROM youtube_tokens t WHERE t.session_id = u.session_id)
+      FROM user_playlists u;
+
+      CREATE TABLE user_playlists_new (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        playlist_id INTEGER NOT NULL,
+        song_id INTEGER NOT NULL,
+        position INTEGER NOT NULL DEFAULT 0,
+        added_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (playlist_id) REFERENCES playlists(id),
+        FOREIGN KEY (song_id) REFERENCES songs(id),
+        UNIQUE(playlist_id, song_id)
+      );
+
+      INSERT INTO user_playlists_new (id, playlist_id, song_id, position, added_at)
+      SELECT u.id, p.id, u.song_id,
+        (SELECT COUNT(*) FROM user_playlists o
+         WHERE o.session_id = u.session_id
+           AND (o.added_at > u.added_at OR (o.added_at = u.added_at AND o.id > u.id))),
+        u.added_at
+      FROM user_playlists u
+      JOIN playlists p ON p.session_id = u.session_id;
+
+      DROP TABLE user_playlists;
+      ALTER TABLE user_playlists_new RENAME TO user_playlists;
+    `);
+  })();
+  console.log('Migrated user_playlists into named playlists!');
+}
+
+// MIGRATION: Which matchmaking strategy served each battle
+var tokenColumns = db.pragma('table_info(battle_tokens)').map(function(c) { return c.name; });
+if (!tokenColumns.includes('strategy')) {
+  db.exec('ALTER TABLE battle_tokens ADD COLUMN strategy TEXT');
+  console.log('Migrated battle_tokens table with strategy column!');
+}
+
+db.exec('CREATE INDEX IF NOT EXISTS idx_votes_session ON votes(session_id, voted_at)');
+db.exec('CREATE INDEX IF NOT EXISTS idx_votes_user ON votes(user_id, voted_at)');
+db.exec('CREATE INDEX IF NOT EXISTS idx_votes_ip ON votes(ip, voted_at)');
+db.exec('CREATE INDEX IF NOT EXISTS idx_votes_voted_at ON votes(voted_at)');
+db.exec('CREATE INDEX IF NOT EXISTS idx_votes_winner ON votes(winner_id, loser_id)');
+db.exec('CREATE INDEX IF NOT EXISTS idx_votes_loser ON votes(loser_id, winner_id)');
+db.exec('CREATE INDEX IF NOT EXISTS idx_votes_room ON votes(room_id)');
+
+// Seed songs if database is empty
+const songCount = db.prepare('SELECT COUNT(*) as count FROM songs').get();
+if (songCount.count === 0) {
+  const insert = db.prepare('INSERT INTO songs (id, title, artist, youtube_id, start_time, genre, votes) VALUES (?, ?, ?, ?, ?, ?, 0)');
+  seedSongs.forEach(song => {
+    insert.run(song.id, song.title, song.artist, song.youtube_id, song.start_time, song.genre);
+  });
+  console.log('Database seeded with ' + seedSongs.length + ' songs!');
+}
+
+module.exports = db;
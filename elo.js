@@ -4,15 +4,30 @@
 */
 
 function calculateElo(winnerRating, loserRating, kFactor) {
+    var result = calculateEloScore(winnerRating, loserRating, 1, kFactor);
+
+    return {
+        newWinnerRating: result.newRatingA,
+        newLoserRating: result.newRatingB
+    };
+}
+
+// A's expected score against B (0..1)
+function expectedScore(ratingA, ratingB) {
+    return 1 / (1 + Math.pow(10, (ratingB - ratingA) / 400));
+}
+
+// General form: scoreA is 1 (A wins), 0.5 (draw) or 0 (B wins)
+function calculateEloScore(ratingA, ratingB, scoreA, kFactor) {
     if (kFactor === undefined) kFactor = 32;
 
-    var expectedWin = 1 / (1 + Math.pow(10, (loserRating - winnerRating) / 400));
-    var expectedLose = 1 - expectedWin;
+    var expectedA = expectedScore(ratingA, ratingB);
+    var expectedB = 1 - expectedA;
 
     return {
-        newWinnerRating: Math.round(winnerRating + kFactor * (1 - expectedWin)),
-        newLoserRating: Math.round(loserRating + kFactor * (0 - expectedLose))
+        newRatingA: Math.round(ratingA + kFactor * (scoreA - expectedA)),
+        newRatingB: Math.round(ratingB + kFactor * ((1 - scoreA) - expectedB))
     };
 }
 
-module.exports = { calculateElo };
+module.exports = { calculateElo, calculateEloScore, expectedScore };
@@ -0,0 +1,104 @@
+/*
+  GLICKO2.JS - Glicko-2 Rating Calculator for Music Battle
+  Rating + deviation (how sure we are) + volatility (how erratic the song is).
+  Every vote is treated as its own rating period.
+  Reference: Glickman, "Example of the Glicko-2 system" (2013)
+*/
+
+var SCALE = 173.7178;           // Converts between Glicko and Glicko-2 scales
+var DEFAULT_RATING = 1500;
+var DEFAULT_DEVIATION = 350;
+var DEFAULT_VOLATILITY = 0.06;
+var DEFAULT_TAU = 0.5;          // Constrains volatility change: 0.3 (calm) – 1.2 (jumpy)
+var EPSILON = 0.000001;
+
+function g(phi) {
+    return 1 / Math.sqrt(1 + 3 * phi * phi / (Math.PI * Math.PI));
+}
+
+function expectedScore(mu, muOpp, phiOpp) {
+    return 1 / (1 + Math.exp(-g(phiOpp) * (mu - muOpp)));
+}
+
+// New volatility via the Illinois algorithm (step 5 of the paper)
+function newVolatility(phi, sigma, delta, v, tau) {
+    var a = Math.log(sigma * sigma);
+    var deltaSq = delta * delta;
+    var phiSq = phi * phi;
+
+    function f(x) {
+        var ex = Math.exp(x);
+        var d = phiSq + v + ex;
+        return (ex * (deltaSq - phiSq - v - ex)) / (2 * d * d) - (x - a) / (tau * tau);
+    }
+
+    var A = a;
+    var B;
+    if (deltaSq > phiSq + v) {
+        B = Math.log(deltaSq - phiSq - v);
+    } else {
+        var k = 1;
+        while (f(a - k * tau) < 0) k++;
+        B = a - k * tau;
+    }
+
+    var fA = f(A);
+    var fB = f(B);
+    while (Math.abs(B - A) > EPSILON) {
+        var C = A + (A - B) * fA / (fB - fA);
+        var fC = f(C);
+        if (fC * fB <= 0) {
+            A = B;
+            fA = fB;
+        } else {
+            fA = fA / 2;
+        }
+        B = C;
+        fB = fC;
+    }
+
+    return Math.exp(A / 2);
+}
+
+// Update one player after a single game.
+// player/opponent: { rating, deviation, volatility }; score: 1 win, 0.5 draw, 0 loss
+function updateGlicko2(player, opponent, score, tau) {
+    if (tau === undefined) tau = DEFAULT_TAU;
+
+    var mu = (player.rating - DEFAULT_RATING) / SCALE;
+    var phi = player.deviation / SCALE;
+    var muOpp = (opponent.rating - DEFAULT_RATING) / SCALE;
+    var phiOpp = opponent.deviation / SCALE;
+
+    var gOpp = g(phiOpp);
+    var E = expectedScore(mu, muOpp, phiOpp);
+    var v = 1 / (gOpp * gOpp * E * (1 - E));
+    var delta = v * gOpp * (score - E);
+
+    var sigma = newVolatility(phi, player.volatility, delta, v, tau);
+    var phiStar = Math.sqrt(phi * phi + sigma * sigma);
+    var phiNew = 1 / Math.sqrt(1 / (phiStar * phiStar) + 1 / v);
+    var muNew = mu + phiNew * phiNew * gOpp * (score - E);
+
+    return {
+        rating: SCALE * muNew + DEFAULT_RATING,
+        deviation: SCALE * phiNew,
+        volatility: sigma
+    };
+}
+
+// Same shape as calculateElo: one winner, one loser
+function calculateGlicko2(winner, loser, tau) {
+    return {
+        newWinner: updateGlicko2(winner, loser, 1, tau),
+        newLoser: updateGlicko2(loser, winner, 0, tau)
+    };
+}
+
+module.exports = {
+    DEFAULT_RATING,
+    DEFAULT_DEVIATION,
+    DEFAULT_VOLATILITY,
+    updateGlicko2,
+    calculateGlicko2
+};
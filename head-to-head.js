@@ -0,0 +1,145 @@
+/*
+  HEAD-TO-HEAD.JS - Pairwise records from the votes table
+  headToHead(): every meeting between two songs, with the actual score rate
+  against what Elo expected (at the time of each vote, and with today's ratings).
+  rivals(): a song's most frequent and toughest opponents.
+  Ties count half a win; "neither" votes are meetings that don't score.
+  Invalidated votes are ignored.
+*/
+
+var { expectedScore } = require('./elo');
+
+var ELO_START = 1500;
+var TOUGHEST_MIN_MEETINGS = 2;  // don't call a one-off loss a rivalry
+
+// Share of the points `songId` took: null if none of the meetings scored
+function scoreRate(wins, ties, losses) {
+    var scored = wins + ties + losses;
+    return scored === 0 ? null : Math.round((wins + ties / 2) / scored * 1000) / 1000;
+}
+
+// Head-to-head between songs a and b (rows from songs). options: { recent } results to list.
+function headToHead(db, a, b, options) {
+    var recentLimit = (options && options.recent) || 10;
+    var meetings = db.prepare(`
+        SELECT id, winner_id, loser_id, outcome, voted_at
+        FROM votes
+        WHERE invalidated_at IS NULL
+          AND ((winner_id = ? AND loser_id = ?) OR (winner_id = ? AND loser_id = ?))
+        ORDER BY voted_at DESC, id DESC
+    `).all(a.id, b.id, b.id, a.id);
+
+    // Global Elo just before a vote: the song's last snapshot from an earlier vote
+    var ratingBefore = db.prepare(`
+        SELECT elo FROM rating_history
+        WHERE song_id = ? AND session_id IS NULL AND vote_id < ?
+        ORDER BY vote_id DESC LIMIT 1
+    `);
+
+    var record = { aWins: 0, bWins: 0, ties: 0, neither: 0 };
+    var expectedTotal = 0;
+    var scored = 0;
+
+    meetings.forEach(function(vote) {
+        var outcome = vote.outcome || 'win';
+        if (outcome === 'neither') {
+            record.neither++;
+            return;
+        }
+        if (outcome === 'tie') record.ties++;
+        else if (vote.winner_id === a.id) record.aWins++;
+        else record.bWins++;
+
+        var eloA = ratingBefore.get(a.id, vote.id);
+        var eloB = ratingBefore.get(b.id, vote.id);
+        expectedTotal += expectedScore(eloA ? eloA.elo : ELO_START, eloB ? eloB.elo : ELO_START);
+        scored++;
+    });
+
+    var song = function(s) {
+        return { id: s.id, title: s.title, artist: s.artist, genre: s.genre, global_elo: s.global_elo };
+    };
+
+    return {
+        songA: song(a),
+        songB: song(b),
+        meetings: meetings.length,
+        record: record,
+        // From song A's side: share of points taken vs what Elo predicted
+        winRate: {
+            actual: scoreRate(record.aWins, record.ties, record.bWins),
+            expected: scored === 0 ? null : Math.round(expectedTotal / scored * 1000) / 1000,
+            expectedNow: Math.round(expectedScore(a.global_elo, b.global_elo) * 1000) / 1000
+        },
+        recent: meetings.slice(0, recentLimit).map(function(vote) {
+            var outcome = vote.outcome || 'win';
+            return {
+                voteId: vote.id,
+                votedAt: vote.voted_at,
+                outcome: outcome,
+                winnerId: outcome === 'win' ? vote.winner_id : null
+            };
+        })
+    };
+}
+
+// Everyone a song has met, with its record against each.
+// Returns { frequent, toughest } lists of up to `limit` opponents; toughest are
+// the opponents it scores worst against (at least TOUGHEST_MIN_MEETINGS scored meetings).
+function rivals(db, songId, limit) {
+    var opponents = db.prepare(`
+        SELECT
+            CASE WHEN v.winner_id = @id THEN v.loser_id ELSE v.winner_id END as id,
+            COUNT(*) as meetings,
+            SUM(CASE WHEN v.outcome = 'win' AND v.winner_id = @id THEN 1 ELSE 0 END) as wins,
+            SUM(CASE WHEN v.outcome = 'win' AND v.loser_id = @id THEN 1 ELSE 0 END) as losses,
+            SUM(CASE WHEN v.outcome = 'tie' THEN 1 ELSE 0 END) as ties,
+            SUM(CASE WHEN v.outcome = 'neither' THEN 1 ELSE 0 END) as neither,
+            MAX(v.voted_at) as last_met
+        FROM votes v
+        WHERE (v.winner_id = @id OR v.loser_id = @id) AND v.invalidated_at IS NULL
+        GROUP BY 1
+    `).all({ id: songId });
+
+    var songs = {};
+    if (opponents.length > 0) {
+        db.prepare('SELECT id, title, artist, genre, global_elo FROM songs WHERE id IN (' +
+            opponents.map(function() { return '?'; }).join(', ') + ')')
+            .all(...opponents.map(function(o) { return o.id; }))
+            .forEach(function(song) { songs[song.id] = song; });
+    }
+
+    var rows = opponents.filter(function(o) { return songs[o.id]; }).map(function(o) {
+        var song = songs[o.id];
+        return {
+            id: o.id,
+            title: song.title,
+            artist: song.artist,
+            genre: song.genre,
+            global_elo: song.global_elo,
+            meetings: o.meetings,
+            wins: o.wins,
+            losses: o.losses,
+            ties: o.ties,
+            neither: o.neither,
+            score_rate: scoreRate(o.wins, o.ties, o.losses),
+            last_met: o.last_met
+        };
+    });
+
+    var frequent = rows.slice().sort(function(x, y) {
+        return y.meetings - x.meetings || (x.last_met < y.last_met ? 1 : -1);
+    });
+    var toughest = rows.filter(function(o) {
+        return o.wins + o.ties + o.losses >= TOUGHEST_MIN_MEETINGS;
+    }).sort(function(x, y) {
+        return x.score_rate - y.score_rate || y.losses - x.losses;
+    });
+
+    return { frequent: frequent.slice(0, limit), toughest: toughest.slice(0, limit) };
+}
+
+module.exports = {
+    headToHead,
+    rivals
+};
@@ -0,0 +1,181 @@
+/*
+  LEADERBOARD-WINDOWS.JS - Daily / weekly / monthly leaderboards for Music Battle
+  Cumulative global_elo favours songs that have been around longest, so a
+  windowed board replays only the votes cast in that window (from a clean
+  1500 start, see replay.js) and ranks the songs that battled in it.
+  Windows roll: "day" is the last 24 hours, "week" the last 7 days, and so on.
+  Movers compare each song's rank with the window just before it.
+  Replays are cached per window and rating options until a vote lands in (or
+  is invalidated from) the span they cover, or CACHE_MS passes — the window's
+  start keeps rolling, but a minute of drift doesn't change the board.
+*/
+
+var { replayVotes } = require('./replay');
+var { summarizeRating } = require('./ratings');
+
+var WINDOW_DAYS = { day: 1, week: 7, month: 30 };
+var WINDOWS = ['day', 'week', 'month', 'all'];
+var DAY_MS = 24 * 60 * 60 * 1000;
+var CACHE_MS = 60 * 1000;
+
+var replayCache = new WeakMap();   // db -> Map(key -> { at, signature, bounds, current, previous })
+
+// Same format as CURRENT_TIMESTAMP, so bounds compare directly with voted_at
+function sqlTime(ms) {
+    return new Date(ms).toISOString().replace('T', ' ').slice(0, 19);
+}
+
+// { from, to, previousFrom } as SQL timestamps for a window ending now.
+// The current window has no upper bound when replayed, so votes from this very second count.
+function windowBounds(window, now) {
+    var length = WINDOW_DAYS[window] * DAY_MS;
+    now = now || Date.now();
+    return {
+        from: sqlTime(now - length),
+        to: sqlTime(now),
+        previousFrom: sqlTime(now - 2 * length)
+    };
+}
+
+function stateOf(song) {
+    return {
+        elo: song.global_elo,
+        glicko_rating: song.glicko_rating,
+        glicko_rd: song.glicko_rd,
+        glicko_vol: song.glicko_vol
+    };
+}
+
+// Replay [from, to) — or everything from `from` on when to is null — and rank every song that battled in it.
+// Returns replay rows, best first, with the engine's rating attached.
+function rankPeriod(db, from, to, engine, options) {
+    var result = replayVotes(db, Object.assign({}, options, { from: from, to: to }));
+    var key = engine === 'glicko2' ? 'glicko_rating' : 'global_elo';
+
+    return result.songs
+        .filter(function(song) { return song.total_battles > 0; })
+        .sort(function(a, b) {
+            return b[key] - a[key] || b.total_battles - a.total_battles || a.id - b.id;
+        })
+        .map(function(song) {
+            var rating = summarizeRating(stateOf(song), engine);
+            song.rating = rating.rating;
+            song.deviation = rating.deviation;
+            return song;
+        });
+}
+
+// Live votes from `since` on: changes whenever one is cast or invalidated in that span
+function voteSignature(db, since) {
+    var row = db.prepare('SELECT COUNT(*) as count, MAX(id) as last FROM votes WHERE voted_at >= ? AND invalidated_at IS NULL').get(since);
+    return row.count + ':' + row.last;
+}
+
+// The ranked current and previous windows: { bounds, current, previous }.
+// Cached unless options.now pins the time.
+function replayWindow(db, window, engine, ratingOptions, now) {
+    var cached = null;
+    if (!now) {
+        cached = replayCache.get(db);
+        if (!cached) replayCache.set(db, cached = new Map());
+    }
+
+    var key = [window, engine, ratingOptions.kFactor, ratingOptions.tau].join('|');
+    var entry = cached && cached.get(key);
+    if (entry && Date.now() - entry.at < CACHE_MS && voteSignature(db, entry.bounds.previousFrom) === entry.signature) {
+        return entry;
+    }
+
+    var bounds = windowBounds(window, now);
+    entry = {
+        at: Date.now(),
+        signature: voteSignature(db, bounds.previousFrom),
+        bounds: bounds,
+        current: rankPeriod(db, bounds.from, now ? bounds.to : null, engine, ratingOptions),
+        previous: rankPeriod(db, bounds.previousFrom, bounds.from, engine, ratingOptions)
+    };
+    if (cached) cached.set(key, entry);
+    return entry;
+}
+
+// Leaderboard for one window. options: { engine, genres, kFactor, tau }
+// Rows carry the window's rating and battle counts (total_battles / total_wins /
+// total_draws cover the window only), its win_rate, and previous_rank /
+// rank_change against the window before (null when the song didn't battle then).
+// With genres, `rank` and `previous_rank` are positions within those genres and
+// `overall_rank` the position across every genre.
+function windowLeaderboard(db, window, options) {
+    options = options || {};
+    var engine = options.engine;
+    var genres = options.genres || [];
+    var ratingOptions = { kFactor: options.kFactor, tau: options.tau };
+    var replayed = replayWindow(db, window, engine, ratingOptions, options.now);
+    var bounds = replayed.bounds;
+
+    var songs = {};
+    db.prepare('SELECT id, title, artist, genre FROM songs WHERE active = 1').all().forEach(function(song) {
+        songs[song.id] = song;
+    });
+    var keep = function(row) {
+        var song = songs[row.id];
+        return !!song && (genres.length === 0 || genres.indexOf(song.genre) !== -1);
+    };
+
+    var current = replayed.current.filter(function(row) { return !!songs[row.id]; });
+    var overallRanks = {};
+    current.forEach(function(row, idx) { overallRanks[row.id] = idx + 1; });
+    var previousRanks = {};
+    replayed.previous
+        .filter(keep)
+        .forEach(function(row, idx) { previousRanks[row.id] = idx + 1; });
+
+    var board = current.filter(keep).map(function(row, idx) {
+        var song = songs[row.id];
+        var rank = idx + 1;
+        var previous = previousRanks[row.id] || null;
+        return {
+            id: row.id,
+            title: song.title,
+            artist: song.artist,
+            genre: song.genre,
+            rank: rank,
+            overall_rank: overallRanks[row.id],
+            previous_rank: previous,
+            rank_change: previous === null ? null : previous - rank,
+            engine: engine,
+            rating: row.rating,
+            deviation: row.deviation,
+            total_battles: row.total_battles,
+            total_wins: row.total_wins,
+            total_draws: row.total_draws,
+            win_rate: Math.round((row.total_wins + row.total_draws / 2) / row.total_battles * 1000) / 1000
+        };
+    });
+
+    return { window: window, from: bounds.from, to: bounds.to, songs: board };
+}
+
+// Biggest climbers and fallers on a window leaderboard (songs ranked in both windows)
+function movers(board, limit) {
+    var moved = board.songs.filter(function(song) { return song.rank_change; });
+    var risers = moved.filter(function(song) { return song.rank_change > 0; })
+        .sort(function(a, b) { return b.rank_change - a.rank_change || a.rank - b.rank; });
+    var fallers = moved.filter(function(song) { return song.rank_change < 0; })
+        .sort(function(a, b) { return a.rank_change - b.rank_change || a.rank - b.rank; });
+
+    return {
+        window: board.window,
+        from: board.from,
+        to: board.to,
+        risers: risers.slice(0, limit),
+        fallers: fallers.slice(0, limit),
+        newcomers: board.songs.filter(function(song) { return song.previous_rank === null; }).slice(0, limit)
+    };
+}
+
+module.exports = {
+    WINDOWS,
+    windowBounds,
+    windowLeaderboard,
+    movers
+};
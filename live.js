@@ -0,0 +1,74 @@
+/*
+  LIVE.JS - Server-Sent Events feed for Music Battle
+  Browsers subscribe to GET /api/live and receive:
+    total   { totalBattles }                        on connect and after every vote
+    vote    { outcome, songs: [first, second], winnerId, totalBattles }
+    ranks   { engine, songs: [{ id, rating, rank, previousRank, ... }] }
+    refresh { reason }                              ratings rebuilt, reload everything
+  Party rooms get their own channel (GET /api/rooms/:code/live), so their
+  events only reach that room's devices.
+  The feed lives in this process: with several server processes each one
+  only announces the votes it handled.
+*/
+
+var HEARTBEAT_MS = 25 * 1000;   // comment line to keep proxies from closing idle streams
+
+function LiveFeed() {
+    this.clients = new Map();   // response -> channel (null for the global feed)
+    this.nextId = 1;
+
+    var self = this;
+    this.heartbeat = setInterval(function() {
+        self.clients.forEach(function(channel, res) { res.write(': ping\n\n'); });
+    }, HEARTBEAT_MS);
+    this.heartbeat.unref();
+}
+
+function format(id, event, data) {
+    return 'id: ' + id + '\nevent: ' + event + '\ndata: ' + JSON.stringify(data) + '\n\n';
+}
+
+// Turn a request into an event stream. initial: [event, data] pairs sent to this client only.
+// channel: a name like 'room:ABCDE' to hear only that channel's events (default: the global feed).
+LiveFeed.prototype.subscribe = function(req, res, initial, channel) {
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no'   // don't let nginx-style proxies buffer the stream
+    });
+    res.flushHeaders();
+    res.write('retry: 5000\n\n');
+
+    var self = this;
+    (initial || []).forEach(function(item) {
+        res.write(format(self.nextId++, item[0], item[1]));
+    });
+
+    this.clients.set(res, channel || null);
+    req.on('close', function() {
+        self.clients.delete(res);
+    });
+};
+
+// Send an event to every subscriber of a channel (default: the global feed)
+LiveFeed.prototype.publish = function(event, data, channel) {
+    channel = channel || null;
+    if (this.size(channel) === 0) return;
+    var payload = format(this.nextId++, event, data);
+    this.clients.forEach(function(clientChannel, res) {
+        if (clientChannel === channel) res.write(payload);
+    });
+};
+
+// Subscribers on a channel (default: the global feed)
+LiveFeed.prototype.size = function(channel) {
+    channel = channel || null;
+    var count = 0;
+    this.clients.forEach(function(clientChannel) {
+        if (clientChannel === channel) count++;
+    });
+    return count;
+};
+
+module.exports = LiveFeed;
@@ -0,0 +1,194 @@
+/*
+  MATCHMAKING.JS - Pluggable pair selection for /api/battle
+  Each strategy takes a context and returns [left, right]:
+    { songs, ranked, recentSongIds, ratingOf(song), inRange(lo, hi), judged(a, b), random() }
+  songs / ranked / ratingOf / inRange come from the rating cache (rating-cache.js);
+  strategies must not modify those arrays.
+  - elo-window: random seed, random opponent within ±150 (then ±300) Elo, 20% wildcard
+  - info-gain:  the pair whose result would tell us the most about the global ranking:
+                uncertain / under-battled songs against their leaderboard neighbours,
+                skipping pairs this person has already judged
+  MATCHMAKING_STRATEGY picks one for everybody, or "ab" splits sessions between
+  them (MATCHMAKING_AB_SPLIT = share on info-gain). The serving strategy is
+  recorded on each battle token so votes can be compared per strategy.
+*/
+
+var crypto = require('crypto');
+var { DEFAULT_DEVIATION } = require('./glicko2');
+
+var DEFAULT_STRATEGY = 'elo-window';
+var AB_STRATEGIES = ['elo-window', 'info-gain'];
+
+var INFO_GAIN = {
+    seeds: 12,          // most uncertain songs considered as one side of the pair
+    neighbours: 4,      // leaderboard ranks either side of a seed to try as opponents
+    shortlist: 3        // pick randomly among the best few pairs so everyone doesn't get the same one
+};
+
+function pick(list, random) {
+    return list[Math.floor(random() * list.length)];
+}
+
+// Randomize left/right
+function sides(a, b, random) {
+    return random() > 0.5 ? [a, b] : [b, a];
+}
+
+function pairKey(a, b) {
+    return a < b ? a + ':' + b : b + ':' + a;
+}
+
+// Songs not battled recently, or everything if that leaves too few
+function freshSongs(ctx) {
+    if (ctx.recentSongIds.length === 0) return ctx.songs;
+    var recent = new Set(ctx.recentSongIds);
+    var available = ctx.songs.filter(function(s) {
+        return !recent.has(s.id);
+    });
+    return available.length < 2 ? ctx.songs : available;
+}
+
+// Songs rated within [lo, hi], by the band index when the context has one
+function songsInRange(ctx, lo, hi) {
+    if (ctx.inRange) return ctx.inRange(lo, hi);
+    return ctx.songs.filter(function(s) {
+        var rating = ctx.ratingOf(s);
+        return rating >= lo && rating <= hi;
+    });
+}
+
+function eloWindow(ctx) {
+    var random = ctx.random;
+
+    // 20% chance: wildcard random matchup
+    if (random() < 0.2) {
+        var first = Math.floor(random() * ctx.songs.length);
+        var second = Math.floor(random() * (ctx.songs.length - 1));
+        if (second >= first) second++;
+        return [ctx.songs[first], ctx.songs[second]];
+    }
+
+    var available = freshSongs(ctx);
+    var skip = new Set(available === ctx.songs ? [] : ctx.recentSongIds);
+    var seed = pick(available, random);
+    var seedElo = ctx.ratingOf(seed);
+
+    var within = function(range) {
+        return songsInRange(ctx, seedElo - range, seedElo + range).filter(function(s) {
+            return s.id !== seed.id && !skip.has(s.id);
+        });
+    };
+
+    // ±150, then ±300, then anyone except the seed
+    var candidates = within(150);
+    if (candidates.length === 0) candidates = within(300);
+    if (candidates.length === 0) {
+        candidates = available.filter(function(s) { return s.id !== seed.id; });
+    }
+
+    return sides(seed, pick(candidates, random), random);
+}
+
+// How unsure we are about a song: Glicko deviation (0..1) plus a bonus for few battles
+function uncertainty(song) {
+    var rd = (song.glicko_rd || DEFAULT_DEVIATION) / DEFAULT_DEVIATION;
+    return rd * rd + 1 / (1 + (song.total_battles || 0));
+}
+
+// Expected information from one battle: highest when the result is a coin flip
+// (p(1-p) peaks at even odds) and the songs' ratings are uncertain
+function pairScore(a, b, rankGap) {
+    var p = 1 / (1 + Math.pow(10, (b.glicko_rating - a.glicko_rating) / 400));
+    return p * (1 - p) * (uncertainty(a) + uncertainty(b)) * (1 + 1 / rankGap);
+}
+
+function byGlickoThenId(a, b) {
+    return b.glicko_rating - a.glicko_rating || a.id - b.id;
+}
+
+// Position of a song in the leaderboard-ordered list (binary search)
+function rankIn(ranked, song) {
+    var lo = 0;
+    var hi = ranked.length;
+    while (lo < hi) {
+        var mid = (lo + hi) >> 1;
+        if (byGlickoThenId(ranked[mid], song) < 0) lo = mid + 1;
+        else hi = mid;
+    }
+    return lo;
+}
+
+// The `count` most uncertain songs in one pass (ties broken randomly)
+function mostUncertain(songs, count, random) {
+    var top = [];
+    songs.forEach(function(song) {
+        var score = uncertainty(song) + random() * 1e-9;
+        if (top.length === count && score <= top[top.length - 1].score) return;
+        var idx = top.length;
+        while (idx > 0 && top[idx - 1].score < score) idx--;
+        top.splice(idx, 0, { song: song, score: score });
+        if (top.length > count) top.pop();
+    });
+    return top.map(function(entry) { return entry.song; });
+}
+
+function infoGain(ctx) {
+    var random = ctx.random;
+    var ranked = ctx.ranked || ctx.songs.slice().sort(byGlickoThenId);
+    var seeds = mostUncertain(freshSongs(ctx), INFO_GAIN.seeds, random);
+
+    var pairs = [];
+    seeds.forEach(function(seed) {
+        var rank = rankIn(ranked, seed);
+        var from = Math.max(0, rank - INFO_GAIN.neighbours);
+        var to = Math.min(ranked.length - 1, rank + INFO_GAIN.neighbours);
+        for (var r = from; r <= to; r++) {
+            var other = ranked[r];
+            if (r === rank || ctx.judged(seed.id, other.id)) continue;
+            pairs.push({ a: seed, b: other, score: pairScore(seed, other, Math.abs(r - rank)) });
+        }
+    });
+
+    // Everything nearby already judged: fall back to the classic picker
+    if (pairs.length === 0) return eloWindow(ctx);
+
+    pairs.sort(function(x, y) { return y.score - x.score; });
+    var chosen = pick(pairs.slice(0, INFO_GAIN.shortlist), random);
+    return sides(chosen.a, chosen.b, random);
+}
+
+var STRATEGIES = {
+    'elo-window': eloWindow,
+    'info-gain': infoGain
+};
+
+// Stable 0..1 bucket for a session, so A/B assignment doesn't flip between battles
+function bucket(key) {
+    return crypto.createHash('sha1').update(String(key)).digest().readUInt32BE(0) / 0x100000000;
+}
+
+// Strategy name for a visitor (owner key), from MATCHMAKING_STRATEGY
+function getStrategy(key) {
+    var name = process.env.MATCHMAKING_STRATEGY || DEFAULT_STRATEGY;
+    if (name === 'ab') {
+        var split = process.env.MATCHMAKING_AB_SPLIT ? Number(process.env.MATCHMAKING_AB_SPLIT) : 0.5;
+        return bucket(key) < split ? AB_STRATEGIES[1] : AB_STRATEGIES[0];
+    }
+    return STRATEGIES[name] ? name : DEFAULT_STRATEGY;
+}
+
+// Run a strategy. ctx.judged / ctx.random default to "nothing judged" / Math.random.
+// Returns [left, right].
+function pickPair(name, ctx) {
+    ctx.random = ctx.random || Math.random;
+    ctx.judged = ctx.judged || function() { return false; };
+    ctx.recentSongIds = ctx.recentSongIds || [];
+    return (STRATEGIES[name] || STRATEGIES[DEFAULT_STRATEGY])(ctx);
+}
+
+module.exports = {
+    STRATEGIES,
+    pairKey,
+    getStrategy,
+    pickPair
+};
@@ -0,0 +1,299 @@
+/*
+  PLAYLIST-IO.JS - Playlist export / import for Music Battle
+  Formats: m3u (extended, #EXTINF "Artist - Title"), xspf, csv and json.
+  Exports point at YouTube watch URLs and carry title/artist metadata.
+  Imports are matched against the active catalog: by YouTube ID when the
+  entry has one (a watch / youtu.be / embed URL or a bare ID), otherwise
+  fuzzily by title + artist. Anything that doesn't match is reported back
+  with its 1-based entry number rather than guessed at.
+*/
+
+var { toCsv, parseCsv, isValidYouTubeId, artistKey, parseArtistCredits } = require('./catalog');
+
+var FORMATS = {
+    m3u: { type: 'audio/x-mpegurl', extension: 'm3u' },
+    xspf: { type: 'application/xspf+xml', extension: 'xspf' },
+    csv: { type: 'text/csv', extension: 'csv' },
+    json: { type: 'application/json', extension: 'json' }
+};
+var CSV_FIELDS = ['title', 'artist', 'youtube_id', 'url', 'genre'];
+
+var MATCH_THRESHOLD = 0.8;      // combined title/artist similarity needed for a fuzzy match
+var TITLE_ONLY_THRESHOLD = 0.9; // entries without an artist must match the title closely...
+var AMBIGUOUS_MARGIN = 0.05;    // ...and clearly beat the runner-up
+
+function watchUrl(youtubeId) {
+    return 'https://www.youtube.com/watch?v=' + youtubeId;
+}
+
+// YouTube ID from a watch / youtu.be / embed / shorts URL or a bare ID, else null
+function extractYouTubeId(value) {
+    if (!value) return null;
+    var text = String(value).trim();
+    if (isValidYouTubeId(text)) return text;
+
+    var match = text.match(/[?&]v=([A-Za-z0-9_-]{11})/) ||
+        text.match(/(?:youtu\.be|youtube(?:-nocookie)?\.com\/(?:embed|shorts|v))\/([A-Za-z0-9_-]{11})/);
+    return match ? match[1] : null;
+}
+
+// ============================================
+// EXPORT
+// ============================================
+
+function escapeXml(value) {
+    return String(value === null || value === undefined ? '' : value)
+        .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;').replace(/'/g, '&apos;');
+}
+
+// playlist: { name }, songs: rows with title, artist, youtube_id, genre (in playlist order)
+function exportPlaylist(playlist, songs, format) {
+    var entries = songs.map(function(song) {
+        return {
+            title: song.title,
+            artist: song.artist,
+            youtube_id: song.youtube_id,
+            url: watchUrl(song.youtube_id),
+            genre: song.genre
+        };
+    });
+
+    if (format === 'm3u') {
+        return ['#EXTM3U', '#PLAYLIST:' + playlist.name].concat(entries.map(function(entry) {
+            return '#EXTINF:-1,' + entry.artist + ' - ' + entry.title + '\n' + entry.url;
+        })).join('\n') + '\n';
+    }
+
+    if (format === 'xspf') {
+        return '<?xml version="1.0" encoding="UTF-8"?>\n' +
+            '<playlist version="1" xmlns="http://xspf.org/ns/0/">\n' +
+            '  <title>' + escapeXml(playlist.name) + '</title>\n' +
+            '  <trackList>\n' +
+            entries.map(function(entry) {
+                return '    <track>\n' +
+                    '      <location>' + escapeXml(entry.url) + '</location>\n' +
+                    '      <title>' + escapeXml(entry.title) + '</title>\n' +
+                    '      <creator>' + escapeXml(entry.artist) + '</creator>\n' +
+                    '    </track>\n';
+            }).join('') +
+            '  </trackList>\n' +
+            '</playlist>\n';
+    }
+
+    if (format === 'csv') return toCsv(entries, CSV_FIELDS);
+
+    return JSON.stringify({ name: playlist.name, songs: entries }, null, 2) + '\n';
+}
+
+// ============================================
+// IMPORT — parse
+// ============================================
+
+// "Artist - Title" (the usual #EXTINF display text); no separator means title only
+function splitDisplayName(text) {
+    var idx = text.indexOf(' - ');
+    if (idx === -1) return { title: text.trim(), artist: '' };
+    return { artist: text.slice(0, idx).trim(), title: text.slice(idx + 3).trim() };
+}
+
+function parseM3u(text) {
+    var entries = [];
+    var pending = null;
+    String(text).replace(/^\uFEFF/, '').split(/\r?\n/).forEach(function(line) {
+        line = line.trim();
+        if (!line) return;
+        if (/^#EXTINF:/i.test(line)) {
+            var comma = line.indexOf(',');
+            pending = comma === -1 ? null : splitDisplayName(line.slice(comma + 1));
+            return;
+        }
+        if (line.charAt(0) === '#') return;
+
+        entries.push({
+            title: pending ? pending.title : '',
+            artist: pending ? pending.artist : '',
+            location: line
+        });
+        pending = null;
+    });
+    return entries;
+}
+
+function decodeXml(value) {
+    return value
+        .replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, '$1')
+        .replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&quot;/g, '"').replace(/&apos;/g, "'")
+        .replace(/&#(\d+);/g, function(m, code) { return String.fromCharCode(Number(code)); })
+        .replace(/&#x([0-9a-f]+);/gi, function(m, code) { return String.fromCharCode(parseInt(code, 16)); })
+        .replace(/&amp;/g, '&')
+        .trim();
+}
+
+// Just the track fields we use — XSPF is simple enough not to need an XML parser
+function parseXspf(text) {
+    var tracks = String(text).match(/<track\b[\s\S]*?<\/track>/gi) || [];
+    return tracks.map(function(track) {
+        var field = function(name) {
+            var match = track.match(new RegExp('<' + name + '\\b[^>]*>([\\s\\S]*?)</' + name + '>', 'i'));
+            return match ? decodeXml(match[1]) : '';
+        };
+        return { title: field('title'), artist: field('creator'), location: field('location') || field('identifier') };
+    });
+}
+
+// csv / json rows: title, artist, and youtube_id or url (or location)
+function fromRecord(record) {
+    record = record || {};
+    return {
+        title: String(record.title || '').trim(),
+        artist: String(record.artist || record.creator || '').trim(),
+        location: String(record.youtube_id || record.url || record.location || '').trim()
+    };
+}
+
+// File contents -> entries { title, artist, location }. Throws on unreadable JSON.
+function parsePlaylist(content, format) {
+    if (format === 'm3u') return parseM3u(content);
+    if (format === 'xspf') return parseXspf(content);
+    if (format === 'csv') return parseCsv(content).map(fromRecord);
+
+    var data = typeof content === 'string' ? JSON.parse(content) : content;
+    if (data && Array.isArray(data.songs)) data = data.songs;
+    if (!Array.isArray(data)) throw new Error('JSON playlist must be an array of songs or { songs: [...] }');
+    return data.map(fromRecord);
+}
+
+// ============================================
+// IMPORT — match against the catalog
+// ============================================
+
+// Lower-case, accents and punctuation gone, "(Official Video)" / "[HD]" / "feat. X" dropped
+function normalizeTitle(text) {
+    return String(text || '')
+        .normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/\([^)]*\)|\[[^\]]*\]/g, ' ')
+        .replace(/\s(?:ft\.?|feat\.?|featuring)\s.*$/, ' ')
+        .replace(/&/g, ' and ')
+        .replace(/[^a-z0-9]+/g, ' ')
+        .trim();
+}
+
+// Dice coefficient over character bigrams: 1 for identical strings, 0 for nothing shared
+function similarity(a, b) {
+    if (a === b) return a ? 1 : 0;
+    if (a.length < 2 || b.length < 2) return 0;
+
+    var bigrams = new Map();
+    for (var i = 0; i < a.length - 1; i++) {
+        var gram = a.substr(i, 2);
+        bigrams.set(gram, (bigrams.get(gram) || 0) + 1);
+    }
+    var shared = 0;
+    for (var j = 0; j < b.length - 1; j++) {
+        var other = b.substr(j, 2);
+        var count = bigrams.get(other) || 0;
+        if (count > 0) {
+            bigrams.set(other, count - 1);
+            shared++;
+        }
+    }
+    return 2 * shared / (a.length + b.length - 2);
+}
+
+// Artists match fully when they share a credited artist ("Sia" vs "David Guetta ft. Sia")
+function artistSimilarity(entryArtist, songArtist) {
+    var entryCredits = parseArtistCredits(entryArtist).map(artistKey);
+    var shared = parseArtistCredits(songArtist).some(function(credit) {
+        return entryCredits.indexOf(artistKey(credit)) !== -1;
+    });
+    return shared ? 1 : similarity(normalizeTitle(entryArtist), normalizeTitle(songArtist));
+}
+
+// Best fuzzy candidate for an entry: { song, score } or null
+function fuzzyMatch(entry, catalog) {
+    var title = normalizeTitle(entry.title);
+    if (!title) return null;
+
+    var best = null;
+    var runnerUp = 0;
+    catalog.forEach(function(song) {
+        var titleScore = similarity(title, song.normalizedTitle);
+        if (titleScore < 0.5) return;
+        var score = entry.artist
+            ? 0.7 * titleScore + 0.3 * artistSimilarity(entry.artist, song.artist)
+            : titleScore;
+        if (!best || score > best.score) {
+            runnerUp = best ? best.score : 0;
+            best = { song: song, score: score };
+        } else if (score > runnerUp) {
+            runnerUp = score;
+        }
+    });
+
+    if (!best) return null;
+    if (entry.artist) return best.score >= MATCH_THRESHOLD ? best : null;
+    // Title only: plenty of songs share a name, so insist on a clear winner
+    return best.score >= TITLE_ONLY_THRESHOLD && best.score - runnerUp >= AMBIGUOUS_MARGIN ? best : null;
+}
+
+// Match parsed entries to active catalog songs.
+// Returns { matched: [{ entry, songId, title, artist, by, score }], unmatched: [{ entry, title, artist, location, reason }] }
+// where entry is the 1-based position in the file and `by` is 'youtube_id' or 'title_artist'.
+function matchEntries(db, entries) {
+    var catalog = db.prepare('SELECT id, title, artist, youtube_id FROM songs WHERE active = 1').all();
+    var byYouTubeId = {};
+    catalog.forEach(function(song) {
+        byYouTubeId[song.youtube_id] = song;
+        song.normalizedTitle = normalizeTitle(song.title);
+    });
+
+    var matched = [];
+    var unmatched = [];
+    entries.forEach(function(entry, idx) {
+        var youtubeId = extractYouTubeId(entry.location);
+        var found = youtubeId && byYouTubeId[youtubeId]
+            ? { song: byYouTubeId[youtubeId], score: 1, by: 'youtube_id' }
+            : null;
+        if (!found) {
+            var fuzzy = fuzzyMatch(entry, catalog);
+            if (fuzzy) found = { song: fuzzy.song, score: Math.round(fuzzy.score * 100) / 100, by: 'title_artist' };
+        }
+
+        if (found) {
+            matched.push({
+                entry: idx + 1,
+                songId: found.song.id,
+                title: found.song.title,
+                artist: found.song.artist,
+                by: found.by,
+                score: found.score
+            });
+            return;
+        }
+
+        unmatched.push({
+            entry: idx + 1,
+            title: entry.title,
+            artist: entry.artist,
+            location: entry.location,
+            reason: !entry.title && !youtubeId
+                ? 'No title or YouTube link to match on'
+                : youtubeId && !entry.title
+                    ? 'Video ' + youtubeId + ' is not in the catalog'
+                    : 'No catalog song close enough'
+        });
+    });
+
+    return { matched: matched, unmatched: unmatched };
+}
+
+module.exports = {
+    FORMATS,
+    extractYouTubeId,
+    splitDisplayName,
+    exportPlaylist,
+    parsePlaylist,
+    matchEntries
+};
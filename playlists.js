@@ -0,0 +1,152 @@
+/*
+  PLAYLISTS.JS - Named, ordered playlists for Music Battle
+  Each owner (see accounts.js) can keep several playlists ("Workout",
+  "Chill", ...). Songs inside a playlist have a position the owner can
+  rearrange; new songs go to the end. Every owner has at least one
+  playlist once they look: the default "Favorites" is created on demand
+  and is where the battle page's Save button puts songs.
+  Each playlist can map to its own YouTube playlist (youtube_playlist_id).
+*/
+
+var DEFAULT_NAME = 'Favorites';
+var MAX_NAME_LENGTH = 60;
+
+// What the API shows of a playlist (the owner key stays private)
+function getPlaylist(db, id) {
+    return db.prepare('SELECT id, name, position, youtube_playlist_id, created_at FROM playlists WHERE id = ?').get(id);
+}
+
+function cleanName(name) {
+    return typeof name === 'string' ? name.trim().slice(0, MAX_NAME_LENGTH) : '';
+}
+
+// An owner's playlists in display order, with song counts
+function listPlaylists(db, owner) {
+    defaultPlaylist(db, owner);
+    return db.prepare(`
+        SELECT p.id, p.name, p.position, p.youtube_playlist_id, p.created_at,
+            (SELECT COUNT(*) FROM user_playlists i WHERE i.playlist_id = p.id) as song_count
+        FROM playlists p
+        WHERE p.session_id = ?
+        ORDER BY p.position, p.id
+    `).all(owner);
+}
+
+// The owner's first playlist, creating "Favorites" if they have none
+function defaultPlaylist(db, owner) {
+    var first = db.prepare('SELECT * FROM playlists WHERE session_id = ? ORDER BY position, id LIMIT 1').get(owner);
+    if (first) return first;
+
+    var id = db.prepare('INSERT INTO playlists (session_id, name, position) VALUES (?, ?, 0)')
+        .run(owner, DEFAULT_NAME).lastInsertRowid;
+    return db.prepare('SELECT * FROM playlists WHERE id = ?').get(id);
+}
+
+// One of the owner's playlists, or null if it's missing or someone else's
+function findPlaylist(db, owner, playlistId) {
+    return db.prepare('SELECT * FROM playlists WHERE id = ? AND session_id = ?').get(Number(playlistId), owner) || null;
+}
+
+function nameTaken(db, owner, name, exceptId) {
+    return !!db.prepare('SELECT 1 FROM playlists WHERE session_id = ? AND name = ? COLLATE NOCASE AND id != ?')
+        .get(owner, name, exceptId || 0);
+}
+
+// Returns { playlist } or { error }
+function createPlaylist(db, owner, name) {
+    name = cleanName(name);
+    if (!name) return { error: 'name required' };
+    if (nameTaken(db, owner, name)) return { error: 'You already have a playlist called ' + name };
+
+    var next = db.prepare('SELECT COALESCE(MAX(position) + 1, 0) as position FROM playlists WHERE session_id = ?').get(owner);
+    var id = db.prepare('INSERT INTO playlists (session_id, name, position) VALUES (?, ?, ?)')
+        .run(owner, name, next.position).lastInsertRowid;
+    return { playlist: getPlaylist(db, id) };
+}
+
+// Returns { playlist } or { error }
+function renamePlaylist(db, playlist, name) {
+    name = cleanName(name);
+    if (!name) return { error: 'name required' };
+    if (nameTaken(db, playlist.session_id, name, playlist.id)) {
+        return { error: 'You already have a playlist called ' + name };
+    }
+
+    db.prepare('UPDATE playlists SET name = ? WHERE id = ?').run(name, playlist.id);
+    return { playlist: getPlaylist(db, playlist.id) };
+}
+
+// Removes the playlist, its songs, sync jobs and share link here; a mapped YouTube playlist is left alone
+function deletePlaylist(db, playlist) {
+    db.transaction(function() {
+        db.prepare('DELETE FROM shares WHERE playlist_id = ?').run(playlist.id);
+        db.prepare('DELETE FROM youtube_sync_jobs WHERE playlist_id = ?').run(playlist.id);
+        db.prepare('DELETE FROM user_playlists WHERE playlist_id = ?').run(playlist.id);
+        db.prepare('DELETE FROM playlists WHERE id = ?').run(playlist.id);
+    })();
+}
+
+// Songs in order. sync_status is the YouTube sync state (see youtube-sync.js), null if never queued.
+function playlistSongs(db, playlistId) {
+    return db.prepare(`
+        SELECT s.id, s.title, s.artist, s.youtube_id, s.genre, s.global_elo, i.position, i.added_at,
+            j.status as sync_status, j.last_error as sync_error
+        FROM user_playlists i
+        JOIN songs s ON i.song_id = s.id
+        LEFT JOIN youtube_sync_jobs j ON j.playlist_id = i.playlist_id AND j.song_id = i.song_id AND j.action = 'add'
+        WHERE i.playlist_id = ?
+        ORDER BY i.position, i.id
+    `).all(playlistId);
+}
+
+function hasSong(db, playlistId, songId) {
+    return !!db.prepare('SELECT 1 FROM user_playlists WHERE playlist_id = ? AND song_id = ?').get(playlistId, Number(songId));
+}
+
+// Append a song. Returns false if it was already in the playlist.
+function addSong(db, playlistId, songId) {
+    var next = db.prepare('SELECT COALESCE(MAX(position) + 1, 0) as position FROM user_playlists WHERE playlist_id = ?')
+        .get(playlistId);
+    var info = db.prepare('INSERT OR IGNORE INTO user_playlists (playlist_id, song_id, position) VALUES (?, ?, ?)')
+        .run(playlistId, Number(songId), next.position);
+    return info.changes > 0;
+}
+
+function removeSong(db, playlistId, songId) {
+    return db.prepare('DELETE FROM user_playlists WHERE playlist_id = ? AND song_id = ?')
+        .run(playlistId, Number(songId)).changes > 0;
+}
+
+// Put the playlist in the order given. songIds must list every song in it exactly once.
+// Returns null on success or an error message.
+function reorderSongs(db, playlistId, songIds) {
+    var current = db.prepare('SELECT song_id FROM user_playlists WHERE playlist_id = ?').all(playlistId)
+        .map(function(row) { return row.song_id; });
+    if (!Array.isArray(songIds)) return 'songIds must be an array';
+
+    var ids = songIds.map(Number);
+    var unique = new Set(ids);
+    var complete = ids.length === current.length && unique.size === ids.length &&
+        current.every(function(id) { return unique.has(id); });
+    if (!complete) return 'songIds must list every song in the playlist exactly once';
+
+    var setPosition = db.prepare('UPDATE user_playlists SET position = ? WHERE playlist_id = ? AND song_id = ?');
+    db.transaction(function() {
+        ids.forEach(function(id, idx) { setPosition.run(idx, playlistId, id); });
+    })();
+    return null;
+}
+
+module.exports = {
+    listPlaylists,
+    defaultPlaylist,
+    findPlaylist,
+    createPlaylist,
+    renamePlaylist,
+    deletePlaylist,
+    playlistSongs,
+    hasSong,
+    addSong,
+    removeSong,
+    reorderSongs
+};
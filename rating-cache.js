@@ -0,0 +1,187 @@
+/*
+  RATING-CACHE.JS - In-memory ratings for matchmaking
+  Keeps every active song sorted by global Elo (the rating band index) and by
+  Glicko rating (leaderboard order, for info-gain matchmaking) plus
+  each recent owner's personal Elo, so /api/battle doesn't hit SQLite per
+  candidate song. Personal ratings are loaded one owner at a time and the
+  least recently used owners are dropped past `maxOwners`.
+
+  Coherence:
+  - This process's writes: call songsChanged(ids) / ownerChanged(key) /
+    invalidate() after writing; they're re-read from the DB on the next lookup,
+    so a rolled-back transaction can't leave stale values behind.
+  - Other processes sharing the file: PRAGMA data_version changes whenever
+    another connection commits, and the whole cache is rebuilt.
+*/
+
+var DEFAULT_MAX_OWNERS = 10000;
+
+// options: { maxOwners } — personal rating sets held at once
+function RatingCache(db, options) {
+    options = options || {};
+    this.db = db;
+    this.maxOwners = options.maxOwners || DEFAULT_MAX_OWNERS;
+
+    this.songs = null;          // id -> active song row
+    this.byElo = [];            // active songs, ascending global_elo
+    this.byGlicko = [];         // active songs, descending glicko_rating
+    this.owners = new Map();    // owner key -> Map(song id -> personal elo), oldest use first
+    this.dirtySongs = new Set();
+    this.version = null;
+
+    this.statements = {
+        songs: db.prepare('SELECT * FROM songs WHERE active = 1'),
+        song: db.prepare('SELECT * FROM songs WHERE id = ?'),
+        personal: db.prepare('SELECT song_id, elo FROM personal_ratings WHERE session_id = ?')
+    };
+}
+
+function byEloThenId(a, b) {
+    return a.global_elo - b.global_elo || a.id - b.id;
+}
+
+function byGlickoThenId(a, b) {
+    return b.glicko_rating - a.glicko_rating || a.id - b.id;
+}
+
+// First index in the sorted list whose song sorts at or after `song`
+function lowerBound(list, song, compare) {
+    var lo = 0;
+    var hi = list.length;
+    while (lo < hi) {
+        var mid = (lo + hi) >> 1;
+        if (compare(list[mid], song) < 0) lo = mid + 1;
+        else hi = mid;
+    }
+    return lo;
+}
+
+RatingCache.prototype.load = function() {
+    var songs = {};
+    var list = this.statements.songs.all();
+    list.forEach(function(song) { songs[song.id] = song; });
+    this.songs = songs;
+    this.byElo = list.slice().sort(byEloThenId);
+    this.byGlicko = list.sort(byGlickoThenId);
+    this.owners.clear();
+    this.dirtySongs.clear();
+};
+
+// Bring the cache up to date before a lookup
+RatingCache.prototype.sync = function() {
+    var version = this.db.pragma('data_version', { simple: true });
+    if (this.songs === null || version !== this.version) {
+        this.version = version;
+        this.load();
+        return;
+    }
+
+    var self = this;
+    this.dirtySongs.forEach(function(id) {
+        var old = self.songs[id];
+        if (old) {
+            self.byElo.splice(lowerBound(self.byElo, old, byEloThenId), 1);
+            self.byGlicko.splice(lowerBound(self.byGlicko, old, byGlickoThenId), 1);
+            delete self.songs[id];
+        }
+        var fresh = self.statements.song.get(id);
+        if (fresh && fresh.active) {
+            self.songs[id] = fresh;
+            self.byElo.splice(lowerBound(self.byElo, fresh, byEloThenId), 0, fresh);
+            self.byGlicko.splice(lowerBound(self.byGlicko, fresh, byGlickoThenId), 0, fresh);
+        }
+    });
+    this.dirtySongs.clear();
+};
+
+// Songs whose row changed (vote, edit, enable/disable, delete)
+RatingCache.prototype.songsChanged = function(ids) {
+    var self = this;
+    ids.forEach(function(id) { self.dirtySongs.add(Number(id)); });
+};
+
+// An owner's personal ratings changed (vote, account merge)
+RatingCache.prototype.ownerChanged = function(key) {
+    this.owners.delete(key);
+};
+
+// Bulk changes (imports, rating replays): rebuild on the next lookup
+RatingCache.prototype.invalidate = function() {
+    this.songs = null;
+};
+
+RatingCache.prototype.personal = function(key) {
+    var ratings = this.owners.get(key);
+    if (ratings) {
+        // Re-insert to mark as most recently used
+        this.owners.delete(key);
+        this.owners.set(key, ratings);
+        return ratings;
+    }
+
+    ratings = new Map();
+    this.statements.personal.all(key).forEach(function(row) {
+        ratings.set(row.song_id, row.elo);
+    });
+    this.owners.set(key, ratings);
+    if (this.owners.size > this.maxOwners) {
+        this.owners.delete(this.owners.keys().next().value);
+    }
+    return ratings;
+};
+
+// Matchmaking view for one owner, optionally limited to some genres and/or
+// a set of song ids (songIds: a Set, e.g. the songs on a shared playlist).
+// Returns { songs, ranked, ratingOf(song), inRange(lo, hi) } for matchmaking.js —
+// ranked is leaderboard (Glicko) order; ratings are the owner's personal Elo
+// where they have one, else global Elo.
+RatingCache.prototype.view = function(key, genres, songIds) {
+    this.sync();
+
+    var songs = this.songs;
+    var byElo = this.byElo;
+    var personal = this.personal(key);
+    var byGenre = genres && genres.length > 0;
+    var included = byGenre || songIds
+        ? function(song) {
+            return (!byGenre || genres.indexOf(song.genre) !== -1) && (!songIds || songIds.has(song.id));
+        }
+        : null;
+
+    var ratingOf = function(song) {
+        var elo = personal.get(song.id);
+        return elo === undefined ? song.global_elo : elo;
+    };
+
+    return {
+        songs: included ? byElo.filter(included) : byElo,
+        ranked: included ? this.byGlicko.filter(included) : this.byGlicko,
+        ratingOf: ratingOf,
+
+        // Songs rated within [lo, hi]: a binary-searched slice of the global band,
+        // corrected for the (few) songs this owner has rated personally
+        inRange: function(lo, hi) {
+            var from = lowerBound(byElo, { global_elo: lo, id: -Infinity }, byEloThenId);
+            var to = lowerBound(byElo, { global_elo: hi, id: Infinity }, byEloThenId);
+            var result = [];
+            for (var i = from; i < to; i++) {
+                var song = byElo[i];
+                if (personal.has(song.id)) continue;
+                if (!included || included(song)) result.push(song);
+            }
+            personal.forEach(function(elo, id) {
+                var song = songs[id];
+                if (song && elo >= lo && elo <= hi && (!included || included(song))) result.push(song);
+            });
+            return result;
+        }
+    };
+};
+
+// Active song count (syncs first)
+RatingCache.prototype.size = function() {
+    this.sync();
+    return this.byElo.length;
+};
+
+module.exports = RatingCache;
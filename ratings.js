@@ -0,0 +1,94 @@
+/*
+  RATINGS.JS - Rating engine selection for Music Battle
+  Every vote updates BOTH Elo and Glicko-2 so they can be compared.
+  RATING_ENGINE (elo | glicko2) picks which one the API reports and sorts by.
+
+  Rating state shape: { elo, glicko_rating, glicko_rd, glicko_vol }
+*/
+
+var { calculateEloScore } = require('./elo');
+var { updateGlicko2, DEFAULT_DEVIATION, DEFAULT_VOLATILITY } = require('./glicko2');
+
+var ENGINES = ['elo', 'glicko2'];
+
+// Vote outcomes and the score they give the first song.
+// "neither" (both bad) says nothing about which is better, so it doesn't move ratings.
+var OUTCOME_SCORES = { win: 1, tie: 0.5, neither: null };
+
+// Engine from an explicit override (e.g. ?engine=) or config, defaulting to Elo
+function getRatingEngine(override) {
+    var name = override || process.env.RATING_ENGINE || 'elo';
+    return ENGINES.indexOf(name) !== -1 ? name : 'elo';
+}
+
+// Engine tuning from config: ELO_K_FACTOR, GLICKO_TAU (unset = engine defaults)
+function getRatingOptions() {
+    var options = {};
+    if (process.env.ELO_K_FACTOR) options.kFactor = Number(process.env.ELO_K_FACTOR);
+    if (process.env.GLICKO_TAU) options.tau = Number(process.env.GLICKO_TAU);
+    return options;
+}
+
+// Starting state for a personal rating: global strength, full uncertainty
+function initialPersonalState(globalState) {
+    return {
+        elo: globalState.elo,
+        glicko_rating: globalState.glicko_rating,
+        glicko_rd: DEFAULT_DEVIATION,
+        glicko_vol: DEFAULT_VOLATILITY
+    };
+}
+
+function toGlicko(state) {
+    return { rating: state.glicko_rating, deviation: state.glicko_rd, volatility: state.glicko_vol };
+}
+
+// Apply one battle to both engines. score is first's result:
+// 1 (first wins), 0.5 (tie) or 0 (second wins). Returns { first, second } states.
+// options: { kFactor, tau } — omitted values use each engine's default.
+function rateBattle(first, second, score, options) {
+    if (score === undefined) score = 1;
+    options = options || {};
+
+    var elo = calculateEloScore(first.elo, second.elo, score, options.kFactor);
+    var glickoFirst = updateGlicko2(toGlicko(first), toGlicko(second), score, options.tau);
+    var glickoSecond = updateGlicko2(toGlicko(second), toGlicko(first), 1 - score, options.tau);
+
+    return {
+        first: {
+            elo: elo.newRatingA,
+            glicko_rating: glickoFirst.rating,
+            glicko_rd: glickoFirst.deviation,
+            glicko_vol: glickoFirst.volatility
+        },
+        second: {
+            elo: elo.newRatingB,
+            glicko_rating: glickoSecond.rating,
+            glicko_rd: glickoSecond.deviation,
+            glicko_vol: glickoSecond.volatility
+        }
+    };
+}
+
+// What the API shows for a state: { engine, rating, deviation }
+// Elo has no deviation, so it reports null there.
+function summarizeRating(state, engine) {
+    if (engine === 'glicko2') {
+        return {
+            engine: engine,
+            rating: Math.round(state.glicko_rating),
+            deviation: Math.round(state.glicko_rd)
+        };
+    }
+    return { engine: 'elo', rating: state.elo, deviation: null };
+}
+
+module.exports = {
+    ENGINES,
+    OUTCOME_SCORES,
+    getRatingEngine,
+    getRatingOptions,
+    initialPersonalState,
+    rateBattle,
+    summarizeRating
+};
@@ -0,0 +1,63 @@
+/*
+  REPLAY-CLI.JS - Rebuild global ratings by replaying the votes table
+
+  Usage:
+    node replay-cli.js [--k <kFactor>] [--tau <tau>] [--limit <rows>] [--swap]
+
+  Always writes the shadow tables and prints a diff against live ratings.
+  Live ratings are only replaced when --swap is given.
+  Defaults come from ELO_K_FACTOR / GLICKO_TAU, like the server.
+*/
+
+require('dotenv').config({ quiet: true });
+const db = require('./db');
+const { getRatingOptions } = require('./ratings');
+const { replayVotes, writeShadow, diffShadow, swapShadow } = require('./replay');
+
+function getFlag(args, name) {
+    var idx = args.indexOf(name);
+    if (idx === -1) return undefined;
+    return args[idx + 1];
+}
+
+function pad(value, width) {
+    var str = String(value);
+    return str.length >= width ? str : str + ' '.repeat(width - str.length);
+}
+
+function main(args) {
+    var options = getRatingOptions();
+    if (getFlag(args, '--k') !== undefined) options.kFactor = Number(getFlag(args, '--k'));
+    if (getFlag(args, '--tau') !== undefined) options.tau = Number(getFlag(args, '--tau'));
+
+    if ((options.kFactor !== undefined && !(options.kFactor > 0)) || (options.tau !== undefined && !(options.tau > 0))) {
+        console.error('--k and --tau must be positive numbers');
+        return 1;
+    }
+
+    var result = replayVotes(db, options);
+    writeShadow(db, result);
+    console.log('Replayed ' + result.votesReplayed + ' votes into songs_shadow' +
+        ' (K=' + (options.kFactor || 32) + ', tau=' + (options.tau || 0.5) + ')');
+
+    var diff = diffShadow(db);
+    var limit = Number(getFlag(args, '--limit') || 25);
+    console.log(diff.length + ' songs differ from live ratings' + (diff.length > limit ? ' (showing ' + limit + ')' : ''));
+    diff.slice(0, limit).forEach(function(row) {
+        console.log('  #' + pad(row.id, 4) + pad(row.title.slice(0, 28), 30) +
+            'elo ' + pad(row.live_elo + ' -> ' + row.replay_elo, 14) +
+            'glicko ' + pad(row.live_glicko + ' -> ' + row.replay_glicko, 14) +
+            'W/B ' + row.live_wins + '/' + row.live_battles + ' -> ' + row.replay_wins + '/' + row.replay_battles);
+    });
+
+    if (args.indexOf('--swap') === -1) {
+        console.log('Shadow only — live ratings untouched. Re-run with --swap to apply.');
+        return 0;
+    }
+
+    var changed = swapShadow(db);
+    console.log('Swapped replayed ratings into ' + changed + ' songs.');
+    return 0;
+}
+
+process.exitCode = main(process.argv.slice(2));
@@ -0,0 +1,209 @@
+/*
+  REPLAY.JS - Deterministic rating rebuild for Music Battle
+  Replays the votes table in voted_at order from a clean slate, so ratings
+  can be recomputed after a bug fix, a K-factor / tau change, or after an
+  admin invalidates abusive votes (invalidated votes are skipped).
+
+  Flow: replayVotes() -> writeShadow() -> diffShadow() -> swapShadow()
+  The shadow tables let you inspect the result before it replaces live data.
+  Only global ratings are rebuilt — personal ratings aren't keyed in votes.
+*/
+
+var { OUTCOME_SCORES, rateBattle } = require('./ratings');
+var { DEFAULT_RATING, DEFAULT_DEVIATION, DEFAULT_VOLATILITY } = require('./glicko2');
+
+var ELO_START = 1500;
+
+function freshSong(id) {
+    return {
+        id: id,
+        votes: 0,
+        global_elo: ELO_START,
+        prev_elo: ELO_START,
+        glicko_rating: DEFAULT_RATING,
+        glicko_rd: DEFAULT_DEVIATION,
+        glicko_vol: DEFAULT_VOLATILITY,
+        glicko_prev: DEFAULT_RATING,
+        total_battles: 0,
+        total_wins: 0,
+        total_draws: 0
+    };
+}
+
+function stateOf(song) {
+    return {
+        elo: song.global_elo,
+        glicko_rating: song.glicko_rating,
+        glicko_rd: song.glicko_rd,
+        glicko_vol: song.glicko_vol
+    };
+}
+
+// Recompute every song's global rating from the votes table.
+// options: { kFactor, tau } passed to the rating engines, plus optional
+// { from, to } voted_at bounds (from inclusive, to exclusive) to replay a time window.
+// Returns { songs: [...], history: [...], votesReplayed } — nothing is written.
+function replayVotes(db, options) {
+    var songs = {};
+    db.prepare('SELECT id FROM songs').all().forEach(function(row) {
+        songs[row.id] = freshSong(row.id);
+    });
+
+    options = options || {};
+    var where = 'invalidated_at IS NULL';
+    var params = [];
+    if (options.from) {
+        where += ' AND voted_at >= ?';
+        params.push(options.from);
+    }
+    if (options.to) {
+        where += ' AND voted_at < ?';
+        params.push(options.to);
+    }
+
+    var history = [];
+    var votes = db.prepare(`
+        SELECT id, winner_id, loser_id, outcome, voted_at
+        FROM votes
+        WHERE ${where}
+        ORDER BY voted_at, id
+    `).iterate(...params);
+
+    var count = 0;
+    for (var vote of votes) {
+        count++;
+        var first = songs[vote.winner_id];
+        var second = songs[vote.loser_id];
+        if (!first || !second) continue; // song was hard-deleted
+
+        var outcome = vote.outcome || 'win';
+        var score = OUTCOME_SCORES[outcome];
+        if (outcome === 'win') first.votes++;
+        if (score === null || score === undefined) continue;
+
+        var result = rateBattle(stateOf(first), stateOf(second), score, options);
+
+        [[first, result.first], [second, result.second]].forEach(function(pair, idx) {
+            var song = pair[0];
+            var next = pair[1];
+            song.prev_elo = song.global_elo;
+            song.glicko_prev = song.glicko_rating;
+            song.global_elo = next.elo;
+            song.glicko_rating = next.glicko_rating;
+            song.glicko_rd = next.glicko_rd;
+            song.glicko_vol = next.glicko_vol;
+            song.total_battles++;
+            if (outcome === 'win' && idx === 0) song.total_wins++;
+            if (outcome === 'tie') song.total_draws++;
+
+            history.push({
+                song_id: song.id,
+                vote_id: vote.id,
+                elo: next.elo,
+                glicko_rating: next.glicko_rating,
+                glicko_rd: next.glicko_rd,
+                recorded_at: vote.voted_at
+            });
+        });
+    }
+
+    return {
+        songs: Object.keys(songs).map(function(id) { return songs[id]; }),
+        history: history,
+        votesReplayed: count
+    };
+}
+
+var SONG_COLUMNS = ['id', 'votes', 'global_elo', 'prev_elo', 'glicko_rating', 'glicko_rd', 'glicko_vol',
+    'glicko_prev', 'total_battles', 'total_wins', 'total_draws'];
+
+// Replace the shadow tables with a replay result
+function writeShadow(db, result) {
+    db.exec(`
+        CREATE TABLE IF NOT EXISTS songs_shadow (
+            id INTEGER PRIMARY KEY,
+            votes INTEGER,
+            global_elo INTEGER,
+            prev_elo INTEGER,
+            glicko_rating REAL,
+            glicko_rd REAL,
+            glicko_vol REAL,
+            glicko_prev REAL,
+            total_battles INTEGER,
+            total_wins INTEGER,
+            total_draws INTEGER
+        );
+        CREATE TABLE IF NOT EXISTS rating_history_shadow (
+            song_id INTEGER NOT NULL,
+            vote_id INTEGER,
+            elo INTEGER NOT NULL,
+            glicko_rating REAL,
+            glicko_rd REAL,
+            recorded_at DATETIME
+        );
+    `);
+
+    var insertSong = db.prepare('INSERT INTO songs_shadow (' + SONG_COLUMNS.join(', ') + ') VALUES (' +
+        SONG_COLUMNS.map(function() { return '?'; }).join(', ') + ')');
+    var insertHistory = db.prepare(`
+        INSERT INTO rating_history_shadow (song_id, vote_id, elo, glicko_rating, glicko_rd, recorded_at)
+        VALUES (?, ?, ?, ?, ?, ?)
+    `);
+
+    db.transaction(function() {
+        db.exec('DELETE FROM songs_shadow; DELETE FROM rating_history_shadow;');
+        result.songs.forEach(function(song) {
+            insertSong.run(SONG_COLUMNS.map(function(c) { return song[c]; }));
+        });
+        result.history.forEach(function(h) {
+            insertHistory.run(h.song_id, h.vote_id, h.elo, h.glicko_rating, h.glicko_rd, h.recorded_at);
+        });
+    })();
+}
+
+// Compare live songs against the shadow table, biggest rating moves first
+function diffShadow(db) {
+    return db.prepare(`
+        SELECT s.id, s.title, s.artist,
+            s.global_elo as live_elo, sh.global_elo as replay_elo,
+            (sh.global_elo - s.global_elo) as elo_diff,
+            ROUND(s.glicko_rating) as live_glicko, ROUND(sh.glicko_rating) as replay_glicko,
+            ROUND(sh.glicko_rating - s.glicko_rating) as glicko_diff,
+            s.total_battles as live_battles, sh.total_battles as replay_battles,
+            s.total_wins as live_wins, sh.total_wins as replay_wins
+        FROM songs s
+        JOIN songs_shadow sh ON sh.id = s.id
+        WHERE s.global_elo != sh.global_elo
+            OR ROUND(s.glicko_rating, 6) != ROUND(sh.glicko_rating, 6)
+            OR s.total_battles != sh.total_battles
+            OR s.total_wins != sh.total_wins
+            OR s.total_draws != sh.total_draws
+            OR s.votes != sh.votes
+        ORDER BY ABS(sh.global_elo - s.global_elo) DESC, s.id
+    `).all();
+}
+
+// Copy the shadow results over the live columns + global history in one transaction
+function swapShadow(db) {
+    var sets = SONG_COLUMNS.filter(function(c) { return c !== 'id'; }).map(function(c) {
+        return c + ' = (SELECT ' + c + ' FROM songs_shadow sh WHERE sh.id = songs.id)';
+    }).join(', ');
+
+    return db.transaction(function() {
+        var updated = db.prepare('UPDATE songs SET ' + sets + ' WHERE id IN (SELECT id FROM songs_shadow)').run();
+        db.prepare('DELETE FROM rating_history WHERE session_id IS NULL').run();
+        db.prepare(`
+            INSERT INTO rating_history (song_id, session_id, vote_id, elo, glicko_rating, glicko_rd, recorded_at)
+            SELECT song_id, NULL, vote_id, elo, glicko_rating, glicko_rd, recorded_at
+            FROM rating_history_shadow
+        `).run();
+        return updated.changes;
+    })();
+}
+
+module.exports = {
+    replayVotes,
+    writeShadow,
+    diffShadow,
+    swapShadow
+};
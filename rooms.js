@@ -0,0 +1,289 @@
+/*
+  ROOMS.JS - Party mode for Music Battle
+  A host opens a room and shares its join code. The host deals one matchup
+  at a time; every device in the room shows the same pair and each
+  participant gets one pick before the round's timer runs out. The room's
+  result (majority pick, or a tie) is revealed to everyone at once — when
+  the timer ends, when everyone has voted, or when the host calls it.
+  Picks always land in room_votes; rooms created with feedsGlobal also record
+  each pick as a normal vote (votes.room_id) — see the room routes in server.js.
+*/
+
+var crypto = require('crypto');
+var { normalizeGenre } = require('./catalog');
+
+var CODE_CHARS = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';  // no 0/O or 1/I to misread off a screen
+var CODE_LENGTH = 5;
+var VOTE_SECONDS = { min: 5, max: 120, fallback: 20 };
+var HISTORY_ROUNDS = 10;
+
+function generateCode() {
+    var code = '';
+    for (var i = 0; i < CODE_LENGTH; i++) {
+        code += CODE_CHARS.charAt(crypto.randomInt(CODE_CHARS.length));
+    }
+    return code;
+}
+
+// Codes are shown upper-case; accept whatever people type
+function normalizeCode(code) {
+    return String(code || '').trim().toUpperCase();
+}
+
+function cleanName(name, fallback) {
+    return typeof name === 'string' && name.trim() ? name.trim().slice(0, 30) : fallback;
+}
+
+// SQL timestamp (UTC, no zone) -> epoch ms
+function parseTime(value) {
+    return Date.parse(value.replace(' ', 'T') + 'Z');
+}
+
+// Create a room and seat the host in it.
+// options: { sessionId, userId, name, genre, feedsGlobal, voteSeconds, displayName }
+// Returns { room } or { error }.
+function createRoom(db, options) {
+    var seconds = options.voteSeconds === undefined ? VOTE_SECONDS.fallback : Number(options.voteSeconds);
+    if (!Number.isInteger(seconds) || seconds < VOTE_SECONDS.min || seconds > VOTE_SECONDS.max) {
+        return { error: 'voteSeconds must be a whole number from ' + VOTE_SECONDS.min + ' to ' + VOTE_SECONDS.max };
+    }
+
+    var genre = options.genre ? normalizeGenre(options.genre) : null;
+    var available = genre
+        ? db.prepare('SELECT COUNT(*) as count FROM songs WHERE active = 1 AND genre = ?').get(genre).count
+        : db.prepare('SELECT COUNT(*) as count FROM songs WHERE active = 1').get().count;
+    if (available < 2) {
+        return { error: 'Not enough songs' + (genre ? ' in ' + genre : '') };
+    }
+
+    var exists = db.prepare('SELECT 1 FROM rooms WHERE code = ?');
+    var code = generateCode();
+    while (exists.get(code)) code = generateCode();
+
+    return db.transaction(function() {
+        var roomId = Number(db.prepare(`
+            INSERT INTO rooms (code, host_session_id, host_user_id, name, genre, feeds_global, vote_seconds)
+            VALUES (?, ?, ?, ?, ?, ?, ?)
+        `).run(code, options.sessionId, options.userId || null, cleanName(options.name, 'Party ' + code),
+            genre, options.feedsGlobal ? 1 : 0, seconds).lastInsertRowid);
+
+        var room = db.prepare('SELECT * FROM rooms WHERE id = ?').get(roomId);
+        joinRoom(db, room, options.sessionId, options.userId, options.displayName);
+        return { room: room };
+    })();
+}
+
+// Room by join code (case-insensitive), or null
+function findRoom(db, code) {
+    return db.prepare('SELECT * FROM rooms WHERE code = ?').get(normalizeCode(code)) || null;
+}
+
+// Add (or rename) a participant. Without a display name they're "Guest N".
+function joinRoom(db, room, sessionId, userId, displayName) {
+    var existing = db.prepare('SELECT * FROM room_participants WHERE room_id = ? AND session_id = ?')
+        .get(room.id, sessionId);
+    if (existing) {
+        if (displayName) {
+            db.prepare('UPDATE room_participants SET display_name = ?, user_id = COALESCE(?, user_id) WHERE room_id = ? AND session_id = ?')
+                .run(cleanName(displayName, existing.display_name), userId || null, room.id, sessionId);
+        }
+        return;
+    }
+
+    var count = db.prepare('SELECT COUNT(*) as count FROM room_participants WHERE room_id = ?').get(room.id).count;
+    db.prepare('INSERT INTO room_participants (room_id, session_id, user_id, display_name) VALUES (?, ?, ?, ?)')
+        .run(room.id, sessionId, userId || null, cleanName(displayName, 'Guest ' + (count + 1)));
+}
+
+function isParticipant(db, room, sessionId) {
+    return !!db.prepare('SELECT 1 FROM room_participants WHERE room_id = ? AND session_id = ?').get(room.id, sessionId);
+}
+
+// The latest round (open or revealed), or null before the host deals the first one
+function currentRound(db, roomId) {
+    return db.prepare('SELECT * FROM room_rounds WHERE room_id = ? ORDER BY round DESC LIMIT 1').get(roomId) || null;
+}
+
+// Songs and pairs dealt in this room so far, so the host's next matchup is fresh
+function dealtSoFar(db, roomId) {
+    return db.prepare('SELECT song_a_id, song_b_id FROM room_rounds WHERE room_id = ? ORDER BY round DESC').all(roomId);
+}
+
+// Start the next round with songs a and b. Returns { ok: true, round } or { ok: false, status, error }.
+function openRound(db, room, a, b) {
+    var round = currentRound(db, room.id);
+    if (round && !round.revealed_at) {
+        return { ok: false, status: 409, error: 'Reveal this round before dealing the next one' };
+    }
+
+    var number = round ? round.round + 1 : 1;
+    db.prepare(`
+        INSERT INTO room_rounds (room_id, round, song_a_id, song_b_id, closes_at)
+        VALUES (?, ?, ?, ?, datetime('now', ?))
+    `).run(room.id, number, a, b, '+' + room.vote_seconds + ' seconds');
+    return { ok: true, round: currentRound(db, room.id) };
+}
+
+// Record a participant's pick in the open round.
+// Run inside the caller's transaction when the pick also becomes a global vote.
+// Returns { ok: true, round, loserId } or { ok: false, status, error }.
+function castRoomVote(db, room, sessionId, userId, songId) {
+    if (room.status !== 'open') {
+        return { ok: false, status: 409, error: 'Room is closed' };
+    }
+    if (!isParticipant(db, room, sessionId)) {
+        return { ok: false, status: 403, error: 'Join the room before voting' };
+    }
+
+    var round = currentRound(db, room.id);
+    if (!round || round.revealed_at || parseTime(round.closes_at) <= Date.now()) {
+        return { ok: false, status: 409, error: 'Voting is closed for this round' };
+    }
+    songId = Number(songId);
+    if (songId !== round.song_a_id && songId !== round.song_b_id) {
+        return { ok: false, status: 400, error: 'songId must be one of the two songs in this round' };
+    }
+
+    var inserted = db.prepare(`
+        INSERT OR IGNORE INTO room_votes (round_id, session_id, user_id, song_id) VALUES (?, ?, ?, ?)
+    `).run(round.id, sessionId, userId || null, songId);
+    if (inserted.changes === 0) {
+        return { ok: false, status: 409, error: 'You already voted this round' };
+    }
+
+    return { ok: true, round: round, loserId: songId === round.song_a_id ? round.song_b_id : round.song_a_id };
+}
+
+// Picks per song for a round: { songId: count }
+function tally(db, round) {
+    var counts = {};
+    counts[round.song_a_id] = 0;
+    counts[round.song_b_id] = 0;
+    db.prepare('SELECT song_id, COUNT(*) as count FROM room_votes WHERE round_id = ? GROUP BY song_id')
+        .all(round.id).forEach(function(row) { counts[row.song_id] = row.count; });
+    return counts;
+}
+
+// Close voting and fix the room's result: 'win' (majority), 'tie' or 'none' (nobody voted)
+function revealRound(db, round) {
+    var counts = tally(db, round);
+    var a = counts[round.song_a_id];
+    var b = counts[round.song_b_id];
+    var outcome = a + b === 0 ? 'none' : a === b ? 'tie' : 'win';
+    var winnerId = outcome === 'win' ? (a > b ? round.song_a_id : round.song_b_id) : null;
+
+    db.prepare(`
+        UPDATE room_rounds SET revealed_at = CURRENT_TIMESTAMP, outcome = ?, winner_id = ?
+        WHERE id = ? AND revealed_at IS NULL
+    `).run(outcome, winnerId, round.id);
+}
+
+// Reveal the open round if its timer ran out or every participant has voted.
+// Returns true when this call revealed it.
+function settleRound(db, room) {
+    var round = currentRound(db, room.id);
+    if (!round || round.revealed_at) return false;
+
+    var expired = parseTime(round.closes_at) <= Date.now();
+    if (!expired) {
+        var counts = db.prepare(`
+            SELECT
+                (SELECT COUNT(*) FROM room_participants WHERE room_id = ?) as participants,
+                (SELECT COUNT(*) FROM room_votes WHERE round_id = ?) as votes
+        `).get(room.id, round.id);
+        if (counts.votes < counts.participants) return false;
+    }
+
+    revealRound(db, round);
+    return true;
+}
+
+function closeRoom(db, room) {
+    var round = currentRound(db, room.id);
+    if (round && !round.revealed_at) revealRound(db, round);
+    db.prepare("UPDATE rooms SET status = 'closed', closed_at = CURRENT_TIMESTAMP WHERE id = ?").run(room.id);
+}
+
+// Everything a device in the room needs to draw it, from sessionId's point of view
+// (the caller adds isHost). Vote counts per song stay hidden until the round is revealed.
+function getRoomState(db, room, sessionId) {
+    room = db.prepare('SELECT * FROM rooms WHERE id = ?').get(room.id);
+    var round = currentRound(db, room.id);
+
+    var participants = db.prepare(`
+        SELECT p.session_id, p.display_name,
+            EXISTS (SELECT 1 FROM room_votes v WHERE v.round_id = ? AND v.session_id = p.session_id) as voted
+        FROM room_participants p
+        WHERE p.room_id = ?
+        ORDER BY p.joined_at, p.rowid
+    `).all(round ? round.id : null, room.id);
+
+    var findSong = db.prepare('SELECT id, title, artist, genre, youtube_id, start_time FROM songs WHERE id = ?');
+    var state = {
+        code: room.code,
+        name: room.name,
+        genre: room.genre,
+        feedsGlobal: !!room.feeds_global,
+        voteSeconds: room.vote_seconds,
+        status: room.status,
+        isParticipant: participants.some(function(p) { return p.session_id === sessionId; }),
+        participants: participants.map(function(p) {
+            return { name: p.display_name, isHost: p.session_id === room.host_session_id, voted: !!p.voted };
+        }),
+        round: null,
+        history: []
+    };
+
+    if (round) {
+        var mine = db.prepare('SELECT song_id FROM room_votes WHERE round_id = ? AND session_id = ?').get(round.id, sessionId);
+        var revealed = !!round.revealed_at;
+        state.round = {
+            number: round.round,
+            songs: [findSong.get(round.song_a_id), findSong.get(round.song_b_id)],
+            closesAt: round.closes_at,
+            secondsLeft: revealed ? 0 : Math.max(0, Math.ceil((parseTime(round.closes_at) - Date.now()) / 1000)),
+            votes: participants.filter(function(p) { return p.voted; }).length,
+            myVote: mine ? mine.song_id : null,
+            revealed: revealed,
+            result: revealed ? { outcome: round.outcome, winnerId: round.winner_id, tally: tally(db, round) } : null
+        };
+    }
+
+    state.history = db.prepare(`
+        SELECT r.round, r.outcome, r.winner_id,
+            a.id as a_id, a.title as a_title, a.artist as a_artist,
+            b.id as b_id, b.title as b_title, b.artist as b_artist
+        FROM room_rounds r
+        JOIN songs a ON a.id = r.song_a_id
+        JOIN songs b ON b.id = r.song_b_id
+        WHERE r.room_id = ? AND r.revealed_at IS NOT NULL
+        ORDER BY r.round DESC
+        LIMIT ?
+    `).all(room.id, HISTORY_ROUNDS).map(function(row) {
+        return {
+            round: row.round,
+            outcome: row.outcome,
+            winnerId: row.winner_id,
+            songs: [
+                { id: row.a_id, title: row.a_title, artist: row.a_artist },
+                { id: row.b_id, title: row.b_title, artist: row.b_artist }
+            ]
+        };
+    });
+
+    return state;
+}
+
+module.exports = {
+    createRoom,
+    findRoom,
+    joinRoom,
+    currentRound,
+    dealtSoFar,
+    openRound,
+    castRoomVote,
+    settleRound,
+    revealRound,
+    closeRoom,
+    getRoomState
+};
@@ -22,6 +22,12 @@ let playerLeft = null;
 let playerRight = null;
 let battlesCompleted = 0;
 
+// Genres to battle within (empty = all). Remembered between visits.
+let selectedGenres = JSON.parse(localStorage.getItem('musicbattle_genres') || '[]');
+
+// ?share=<slug> (from a shared list's "Battle These Songs") battles only that list's songs
+let sharedList = new URLSearchParams(window.location.search).get('share');
+
 // ============================================
 // YOUTUBE API — Thumbnail-first lazy loading
 // ============================================
@@ -75,9 +81,20 @@ function loadPlayer(side) {
 // Fetch a new battle from the backend
 async function loadNextBattle() {
     try {
-        const response = await fetch(`${API_URL}/battle`);
+        const query = sharedList
+            ? '?share=' + encodeURIComponent(sharedList)
+            : selectedGenres.length > 0 ? '?genre=' + encodeURIComponent(selectedGenres.join(',')) : '';
+        const response = await fetch(`${API_URL}/battle${query}`);
         const battle = await response.json();
 
+        // Genre or shared list too small to battle in (or unshared): fall back to everything
+        if (!response.ok) {
+            showToast(battle.error || 'Could not load a battle');
+            if (sharedList) leaveSharedList();
+            else if (selectedGenres.length > 0) setGenres([]);
+            return;
+        }
+
         currentBattle = battle;
 
         // Reset players (thumbnails replace old content)
@@ -104,7 +121,7 @@ async function loadNextBattle() {
         rightCard.classList.add('slide-in-right');
 
         // Re-enable vote buttons
-        document.querySelectorAll('.vote-btn').forEach(btn => btn.disabled = false);
+        document.querySelectorAll('.vote-btn, .outcome-btn').forEach(btn => btn.disabled = false);
 
         console.log('New battle:', currentBattle.left.title, 'vs', currentBattle.right.title);
     } catch (error) {
@@ -152,7 +169,7 @@ async function vote(side) {
     const loserSide = side === 'left' ? 'right' : 'left';
 
     // Disable vote buttons so you can't double-click
-    document.querySelectorAll('.vote-btn').forEach(btn => btn.disabled = true);
+    document.querySelectorAll('.vote-btn, .outcome-btn').forEach(btn => btn.disabled = true);
 
     try {
         // Send vote to backend
@@ -162,24 +179,23 @@ async function vote(side) {
                 'Content-Type': 'application/json'
             },
             body: JSON.stringify({
+                battleId: currentBattle.battleId,
                 winnerId: winner.id,
                 loserId: loser.id
             })
         });
 
         const result = await response.json();
+
+        // Expired or already-used battle: move on to a fresh one
+        if (!response.ok) {
+            showToast(result.error || 'Vote failed');
+            loadNextBattle();
+            return;
+        }
         console.log(result.message, `(${result.newVoteCount} total votes)`);
 
-        // Update counter with animation
-        battlesCompleted++;
-        const counter = document.getElementById('battle-count');
-        counter.style.transform = 'scale(1.3)';
-        counter.textContent = battlesCompleted;
-        setTimeout(() => counter.style.transform = 'scale(1)', 200);
-
-        // Sync footer counter
-        const footerCount = document.getElementById('footer-battle-count');
-        if (footerCount) footerCount.textContent = battlesCompleted;
+        bumpBattleCounter();
 
         // Prompt username after first vote if not set
         if (!localStorage.getItem('musicbattle_username') && !localStorage.getItem('musicbattle_username_prompted')) {
@@ -242,10 +258,69 @@ async function vote(side) {
     } catch (error) {
         console.error('Failed to submit vote:', error);
         // Re-enable buttons if something goes wrong
-        document.querySelectorAll('.vote-btn').forEach(btn => btn.disabled = false);
+        document.querySelectorAll('.vote-btn, .outcome-btn').forEach(btn => btn.disabled = false);
+    }
+}
+
+// Tie ("both great") or neither ("both bad") — no winner animation, straight to the next battle
+async function voteOutcome(outcome) {
+    if (!currentBattle.left || !currentBattle.right) return;
+
+    document.querySelectorAll('.vote-btn, .outcome-btn').forEach(btn => btn.disabled = true);
+
+    try {
+        const response = await fetch(`${API_URL}/vote`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({
+                battleId: currentBattle.battleId,
+                outcome: outcome,
+                songIds: [currentBattle.left.id, currentBattle.right.id]
+            })
+        });
+
+        const result = await response.json();
+
+        if (!response.ok) {
+            showToast(result.error || 'Vote failed');
+            loadNextBattle();
+            return;
+        }
+        console.log(result.message);
+
+        bumpBattleCounter();
+        showToast(outcome === 'tie' ? 'Tie recorded \u2713' : 'Neither \u2014 noted');
+
+        stopBoth();
+        loadNextBattle();
+    } catch (error) {
+        console.error('Failed to submit ' + outcome + ':', error);
+        document.querySelectorAll('.vote-btn, .outcome-btn').forEach(btn => btn.disabled = false);
     }
 }
 
+// Update counter with animation. While the live feed is connected it
+// delivers everyone's votes (ours included), so only count locally when it isn't.
+function bumpBattleCounter() {
+    if (liveFeed && liveFeed.readyState === EventSource.OPEN) return;
+    setBattleCounter(battlesCompleted + 1);
+}
+
+function setBattleCounter(total) {
+    if (total === battlesCompleted) return;
+    battlesCompleted = total;
+    const counter = document.getElementById('battle-count');
+    counter.style.transform = 'scale(1.3)';
+    counter.textContent = battlesCompleted;
+    setTimeout(() => counter.style.transform = 'scale(1)', 200);
+
+    // Sync footer counter
+    const footerCount = document.getElementById('footer-battle-count');
+    if (footerCount) footerCount.textContent = battlesCompleted;
+}
+
 // ============================================
 // SAVE TO PLAYLIST
 // ============================================
@@ -294,7 +369,7 @@ async function saveSong(songId, btn) {
             btn.classList.add('saved');
             btn.onclick = null;
             showToast(data.youtube
-                ? 'Added to playlist & YouTube \u2713'
+                ? 'Added to your playlist \u2713 (syncing to YouTube)'
                 : 'Added to your playlist \u2713');
         }
     } catch (e) {
@@ -362,6 +437,89 @@ function skip() {
     loadNextBattle();
 }
 
+// ============================================
+// GENRE PICKER - battle inside one or more genres
+// ============================================
+
+async function loadGenrePicker() {
+    if (sharedList) return showSharedList();
+    try {
+        const response = await fetch(`${API_URL}/genres`);
+        const genres = await response.json();
+        const picker = document.getElementById('genre-picker');
+
+        picker.innerHTML = '';
+        picker.appendChild(genreChip('All', '', () => setGenres([])));
+        genres.filter(g => g.songs >= 2).forEach(g => {
+            picker.appendChild(genreChip(g.genre, g.genre, () => toggleGenre(g.genre)));
+        });
+        renderGenrePicker();
+    } catch (error) {
+        console.error('Failed to load genres:', error);
+    }
+}
+
+// Genre names come from the catalog (CSV imports included), so chips are built as nodes, not markup
+function genreChip(label, genre, onClick) {
+    const chip = document.createElement('button');
+    chip.className = 'genre-chip';
+    chip.dataset.genre = genre;
+    chip.textContent = label;
+    chip.addEventListener('click', onClick);
+    return chip;
+}
+
+function renderGenrePicker() {
+    document.querySelectorAll('#genre-picker .genre-chip').forEach(chip => {
+        const genre = chip.dataset.genre;
+        chip.classList.toggle('active', genre ? selectedGenres.includes(genre) : selectedGenres.length === 0);
+    });
+}
+
+function toggleGenre(genre) {
+    setGenres(selectedGenres.includes(genre)
+        ? selectedGenres.filter(g => g !== genre)
+        : selectedGenres.concat([genre]));
+}
+
+function setGenres(genres) {
+    selectedGenres = genres;
+    localStorage.setItem('musicbattle_genres', JSON.stringify(selectedGenres));
+    renderGenrePicker();
+    stopBoth();
+    loadNextBattle();
+}
+
+// Battling a shared list: the picker shows which one, with a way back to everything
+async function showSharedList() {
+    const picker = document.getElementById('genre-picker');
+    try {
+        const response = await fetch(`${API_URL}/p/${encodeURIComponent(sharedList)}`);
+        if (!response.ok) return;
+        const share = await response.json();
+        const label = document.createElement('span');
+        label.className = 'genre-chip active';
+        label.textContent = '\u266B ' + share.title + (share.by ? ' by ' + share.by : '');
+        picker.innerHTML = '';
+        picker.appendChild(label);
+        picker.insertAdjacentHTML('beforeend',
+            `<a class="genre-chip" href="/p/${encodeURIComponent(sharedList)}">View list</a>` +
+            '<button class="genre-chip" onclick="leaveSharedList()">All songs</button>');
+    } catch (error) {
+        console.error('Failed to load shared list:', error);
+    }
+}
+
+function leaveSharedList() {
+    sharedList = null;
+    history.replaceState(null, '', 'index.html');
+    loadGenrePicker();
+    stopBoth();
+    loadNextBattle();
+}
+
+loadGenrePicker();
+
 // ============================================
 // STATS - Load from backend
 // ============================================
@@ -387,6 +545,23 @@ async function loadStats() {
 // Load stats when page loads
 loadStats();
 
+// ============================================
+// LIVE COUNTER (Server-Sent Events from /api/live)
+// ============================================
+
+var liveFeed = null;
+
+function connectLiveFeed() {
+    if (!window.EventSource) return;
+    liveFeed = new EventSource(API_URL + '/live');
+    // EventSource reconnects by itself; the first 'total' after a reconnect resyncs the count
+    liveFeed.addEventListener('total', function(e) {
+        setBattleCounter(JSON.parse(e.data).totalBattles);
+    });
+}
+
+connectLiveFeed();
+
 // ============================================
 // SIMPLE USERNAME (no password needed)
 // ============================================
@@ -5,14 +5,32 @@
 
 require('dotenv').config();
 const express = require('express');
-const Database = require('better-sqlite3');
 const cors = require('cors');
 const path = require('path');
 const bcrypt = require('bcryptjs');
 const session = require('express-session');
 const { v4: uuidv4 } = require('uuid');
-const { calculateElo } = require('./elo');
+const { OUTCOME_SCORES, getRatingEngine, getRatingOptions, initialPersonalState, rateBattle, summarizeRating } = require('./ratings');
+const { parseGenreList, validateSong, parseCatalog, planImport, applyImport, exportCatalog } = require('./catalog');
 const { google } = require('googleapis');
+const db = require('./db');
+const { issueBattleToken, servedBattleToken, redeemBattleToken, recentBattlePairs } = require('./battle-tokens');
+const { checkRateLimit, detectAbuse, invalidateVotes } = require('./abuse');
+const { replayVotes, writeShadow, diffShadow, swapShadow } = require('./replay');
+const { createTournament, currentMatch, decideMatch, getBracket } = require('./tournament');
+const { ownerKey, mergeSessionIntoUser } = require('./accounts');
+const SqliteStore = require('./session-store');
+const { pairKey, getStrategy, pickPair } = require('./matchmaking');
+const RatingCache = require('./rating-cache');
+const { WINDOWS, windowLeaderboard, movers } = require('./leaderboard-windows');
+const { headToHead, rivals } = require('./head-to-head');
+const { SORTS, artistLeaderboard, artistDetail } = require('./artists');
+const LiveFeed = require('./live');
+const { listPlaylists, defaultPlaylist, findPlaylist, createPlaylist, renamePlaylist, deletePlaylist, playlistSongs, hasSong, addSong, removeSong, reorderSongs } = require('./playlists');
+const { FORMATS: PLAYLIST_FORMATS, exportPlaylist, parsePlaylist, matchEntries } = require('./playlist-io');
+const { createRoom, findRoom, joinRoom, currentRound, dealtSoFar, openRound, castRoomVote, settleRound, revealRound, closeRoom, getRoomState } = require('./rooms');
+const YouTubeSync = require('./youtube-sync');
+const { KINDS: SHARE_KINDS, findPublished, publish: publishShare, unpublish: unpublishShare, describeShare, listShares, sharedView, sharedSongIds } = require('./shares');
 
 // ============================================
 // SETUP
@@ -20,6 +38,13 @@ const { google } = require('googleapis');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
+const SESSION_SECRET = process.env.SESSION_SECRET || 'music-battle-secret-key-change-in-production';
+
+// Matchmaking reads ratings from memory; every write below tells the cache what changed
+const ratingCache = new RatingCache(db, { maxOwners: Number(process.env.RATING_CACHE_OWNERS) || undefined });
+
+// Server-Sent Events for live counters and leaderboards (see live.js)
+const liveFeed = new LiveFeed();
 
 // Trust Railway's reverse proxy (needed for secure cookies over HTTPS)
 app.set('trust proxy', 1);
@@ -29,9 +54,11 @@ app.use(cors({ origin: true, credentials: true }));
 app.use(express.json());
 app.use(express.static(path.join(__dirname)));
 
-// Session configuration — saveUninitialized true so anon users get a session
+// Session configuration — saveUninitialized true so anon users get a session.
+// Stored in SQLite so sessions (and everything keyed by them) survive restarts.
 app.use(session({
-  secret: process.env.SESSION_SECRET || 'music-battle-secret-key-change-in-production',
+  store: new SqliteStore(db),
+  secret: SESSION_SECRET,
   resave: false,
   saveUninitialized: true,
   cookie: {
@@ -43,223 +70,35 @@ app.use(session({
 }));
 
 // ============================================
-// DATABASE SETUP
-// ============================================
-
-// Use Railway volume path in production for persistence across deploys
-const dbPath = process.env.NODE_ENV === 'production' ? '/app/data/musicbattle.db' : 'musicbattle.db';
-const db = new Database(dbPath);
-
-// Create tables
-db.exec(`
-  -- Songs table
-  CREATE TABLE IF NOT EXISTS songs (
-    id INTEGER PRIMARY KEY,
-    title TEXT NOT NULL,
-    artist TEXT NOT NULL,
-    youtube_id TEXT NOT NULL,
-    start_time INTEGER DEFAULT 0,
-    votes INTEGER DEFAULT 0
-  );
-
-  -- Users table
-  CREATE TABLE IF NOT EXISTS users (
-    id TEXT PRIMARY KEY,
-    username TEXT UNIQUE NOT NULL,
-    email TEXT UNIQUE NOT NULL,
-    password_hash TEXT NOT NULL,
-    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
-  );
-
-  -- Votes table (tracks user)
-  CREATE TABLE IF NOT EXISTS votes (
-    id INTEGER PRIMARY KEY AUTOINCREMENT,
-    user_id TEXT,
-    winner_id INTEGER NOT NULL,
-    loser_id INTEGER NOT NULL,
-    voted_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-    FOREIGN KEY (user_id) REFERENCES users(id),
-    FOREIGN KEY (winner_id) REFERENCES songs(id),
-    FOREIGN KEY (loser_id) REFERENCES songs(id)
-  );
-
-  -- User preferences (legacy, kept for compat)
-  CREATE TABLE IF NOT EXISTS user_preferences (
-    user_id TEXT,
-    artist TEXT,
-    score INTEGER DEFAULT 0,
-    PRIMARY KEY (user_id, artist),
-    FOREIGN KEY (user_id) REFERENCES users(id)
-  );
-
-  -- Personal Elo ratings (per session, per song)
-  CREATE TABLE IF NOT EXISTS personal_ratings (
-    session_id TEXT NOT NULL,
-    song_id INTEGER NOT NULL,
-    elo INTEGER DEFAULT 1500,
-    battles INTEGER DEFAULT 0,
-    wins INTEGER DEFAULT 0,
-    PRIMARY KEY (session_id, song_id),
-    FOREIGN KEY (song_id) REFERENCES songs(id)
-  );
-
-  -- Genre affinity (per session)
-  CREATE TABLE IF NOT EXISTS genre_affinity (
-    session_id TEXT NOT NULL,
-    genre TEXT NOT NULL,
-    wins INTEGER DEFAULT 0,
-    total_battles INTEGER DEFAULT 0,
-    PRIMARY KEY (session_id, genre)
-  );
-
-  -- User playlists (session-based)
-  CREATE TABLE IF NOT EXISTS user_playlists (
-    id INTEGER PRIMARY KEY AUTOINCREMENT,
-    session_id TEXT NOT NULL,
-    username TEXT,
-    song_id INTEGER NOT NULL,
-    added_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-    FOREIGN KEY (song_id) REFERENCES songs(id),
-    UNIQUE(session_id, song_id)
-  );
-
-  -- YouTube OAuth tokens
-  CREATE TABLE IF NOT EXISTS youtube_tokens (
-    id INTEGER PRIMARY KEY AUTOINCREMENT,
-    session_id TEXT NOT NULL,
-    username TEXT,
-    access_token TEXT NOT NULL,
-    refresh_token TEXT NOT NULL,
-    token_expiry DATETIME NOT NULL,
-    playlist_id TEXT,
-    connected_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-    UNIQUE(session_id)
-  );
-`);
-
-// ============================================
-// MIGRATION: Add Elo columns to songs table
+// AUTH ROUTES
 // ============================================
 
-const columns = db.pragma('table_info(songs)').map(function(c) { return c.name; });
-if (!columns.includes('global_elo')) {
-  db.exec('ALTER TABLE songs ADD COLUMN global_elo INTEGER DEFAULT 1500');
-  db.exec('ALTER TABLE songs ADD COLUMN total_battles INTEGER DEFAULT 0');
-  db.exec('ALTER TABLE songs ADD COLUMN total_wins INTEGER DEFAULT 0');
-  db.exec("ALTER TABLE songs ADD COLUMN genre TEXT DEFAULT 'untagged'");
-  db.exec('ALTER TABLE songs ADD COLUMN prev_elo INTEGER DEFAULT 1500');
-
-  // Migrate: set total_wins from existing votes count
-  db.exec('UPDATE songs SET total_wins = votes');
-
-  // Migrate: calculate total_battles from votes table
-  var battleCounts = db.prepare(`
-    SELECT song_id, COUNT(*) as battles FROM (
-      SELECT winner_id as song_id FROM votes
-      UNION ALL
-      SELECT loser_id as song_id FROM votes
-    ) GROUP BY song_id
-  `).all();
-  var updateBattles = db.prepare('UPDATE songs SET total_battles = ? WHERE id = ?');
-  battleCounts.forEach(function(row) {
-    updateBattles.run(row.battles, row.song_id);
-  });
-
-  console.log('Migrated songs table with Elo columns!');
+// Owner key for personal data (see accounts.js): the account when logged in, else the session
+function ownerOf(req) {
+  return ownerKey(req.sessionID, req.session.userId);
 }
 
-// ============================================
-// GENRE DATA — Assign genres to all 25 songs
-// ============================================
-
-var genreMap = {
-  1: 'pop',          // Blinding Lights
-  2: 'pop',          // Levitating
-  3: 'pop',          // As It Was
-  4: 'pop',          // Stay
-  5: 'pop',          // Bad Guy
-  6: 'pop',          // Shape of You
-  7: 'alternative',  // Heat Waves
-  8: 'pop',          // Uptown Funk
-  9: 'rnb',          // Starboy
-  10: 'pop',         // Don't Start Now
-  11: 'hip-hop',     // God's Plan
-  12: 'hip-hop',     // Hotline Bling
-  13: 'hip-hop',     // Sunflower
-  14: 'hip-hop',     // Old Town Road
-  15: 'hip-hop',     // HUMBLE
-  16: 'rock',        // Believer
-  17: 'rock',        // Thunder
-  18: 'alternative', // Stressed Out
-  19: 'rock',        // Bohemian Rhapsody
-  20: 'electronic',  // Lean On
-  21: 'electronic',  // Wake Me Up
-  22: 'electronic',  // Titanium
-  23: 'latin',       // Despacito
-  24: 'afrobeats',   // Calm Down
-  25: 'rnb'          // Earned It
-};
-
-// Initial songs data - Verified working videos only
-const initialSongs = [
-  // Pop Hits (verified)
-  { id: 1, title: "Blinding Lights", artist: "The Weeknd", youtube_id: "4NRXx6U8ABQ", start_time: 30 },
-  { id: 2, title: "Levitating", artist: "Dua Lipa", youtube_id: "TUVcZfQe-Kw", start_time: 45 },
-  { id: 3, title: "As It Was", artist: "Harry Styles", youtube_id: "H5v3kku4y6Q", start_time: 25 },
-  { id: 4, title: "Stay", artist: "Kid Laroi & Justin Bieber", youtube_id: "kTJczUoc26U", start_time: 15 },
-  { id: 5, title: "Bad Guy", artist: "Billie Eilish", youtube_id: "DyDfgMOUjCI", start_time: 20 },
-  { id: 6, title: "Shape of You", artist: "Ed Sheeran", youtube_id: "JGwWNGJdvx8", start_time: 45 },
-  { id: 7, title: "Heat Waves", artist: "Glass Animals", youtube_id: "mRD0-GxqHVo", start_time: 60 },
-  { id: 8, title: "Uptown Funk", artist: "Bruno Mars", youtube_id: "OPf0YbXqDm0", start_time: 60 },
-  { id: 9, title: "Starboy", artist: "The Weeknd", youtube_id: "34Na4j8AVgA", start_time: 40 },
-  { id: 10, title: "Don't Start Now", artist: "Dua Lipa", youtube_id: "oygrmJFKYZY", start_time: 30 },
-
-  // Hip-Hop (verified)
-  { id: 11, title: "God's Plan", artist: "Drake", youtube_id: "xpVfcZ0ZcFM", start_time: 50 },
-  { id: 12, title: "Hotline Bling", artist: "Drake", youtube_id: "uxpDa-c-4Mc", start_time: 45 },
-  { id: 13, title: "Sunflower", artist: "Post Malone & Swae Lee", youtube_id: "ApXoWvfEYVU", start_time: 25 },
-  { id: 14, title: "Old Town Road", artist: "Lil Nas X", youtube_id: "w2Ov5jzm3j8", start_time: 20 },
-  { id: 15, title: "HUMBLE", artist: "Kendrick Lamar", youtube_id: "tvTRZJ-4EyI", start_time: 30 },
-
-  // Rock & Alt (verified)
-  { id: 16, title: "Believer", artist: "Imagine Dragons", youtube_id: "7wtfhZwyrcc", start_time: 55 },
-  { id: 17, title: "Thunder", artist: "Imagine Dragons", youtube_id: "fKopy74weus", start_time: 40 },
-  { id: 18, title: "Stressed Out", artist: "Twenty One Pilots", youtube_id: "pXRviuL6vMY", start_time: 60 },
-  { id: 19, title: "Bohemian Rhapsody", artist: "Queen", youtube_id: "fJ9rUzIMcZQ", start_time: 50 },
-
-  // Electronic (verified)
-  { id: 20, title: "Lean On", artist: "Major Lazer & DJ Snake", youtube_id: "YqeW9_5kURI", start_time: 45 },
-  { id: 21, title: "Wake Me Up", artist: "Avicii", youtube_id: "IcrbM1l_BoI", start_time: 40 },
-  { id: 22, title: "Titanium", artist: "David Guetta ft. Sia", youtube_id: "JRfuAukYTKg", start_time: 60 },
-
-  // Latin (verified)
-  { id: 23, title: "Despacito", artist: "Luis Fonsi ft. Daddy Yankee", youtube_id: "kJQP7kiw5Fk", start_time: 50 },
-  { id: 24, title: "Calm Down", artist: "Rema & Selena Gomez", youtube_id: "WcIcVapfqXw", start_time: 50 },
-
-  // R&B (verified)
-  { id: 25, title: "Earned It", artist: "The Weeknd", youtube_id: "waU75jdUnYw", start_time: 60 }
-];
-
-// Seed songs if database is empty
-const songCount = db.prepare('SELECT COUNT(*) as count FROM songs').get();
-if (songCount.count === 0) {
-  const insert = db.prepare('INSERT INTO songs (id, title, artist, youtube_id, start_time, votes) VALUES (?, ?, ?, ?, ?, 0)');
-  initialSongs.forEach(song => {
-    insert.run(song.id, song.title, song.artist, song.youtube_id, song.start_time);
-  });
-  console.log('Database seeded with 25 songs!');
+// Log the session in and fold its anonymous data into the account
+function startUserSession(req, user) {
+  req.session.userId = user.id;
+  req.session.username = user.username;
+  mergeSessionIntoUser(db, req.sessionID, user.id);
+  req.session.mergedUserId = user.id;
+  ratingCache.ownerChanged(req.sessionID);
+  ratingCache.ownerChanged(ownerOf(req));
 }
 
-// Apply genres (runs every startup to ensure they're set — AFTER seed)
-var updateGenre = db.prepare("UPDATE songs SET genre = ? WHERE id = ? AND genre = 'untagged'");
-Object.keys(genreMap).forEach(function(id) {
-  updateGenre.run(genreMap[id], Number(id));
+// Sessions that were already logged in before data followed the account get merged on their next request
+app.use((req, res, next) => {
+  if (req.session.userId && req.session.mergedUserId !== req.session.userId) {
+    mergeSessionIntoUser(db, req.sessionID, req.session.userId);
+    req.session.mergedUserId = req.session.userId;
+    ratingCache.ownerChanged(req.sessionID);
+    ratingCache.ownerChanged(ownerOf(req));
+  }
+  next();
 });
 
-// ============================================
-// AUTH ROUTES
-// ============================================
-
 // Sign up
 app.post('/api/auth/signup', async (req, res) => {
   const { username, email, password } = req.body;
@@ -286,9 +125,8 @@ app.post('/api/auth/signup', async (req, res) => {
     db.prepare('INSERT INTO users (id, username, email, password_hash) VALUES (?, ?, ?, ?)')
       .run(userId, username, email, passwordHash);
 
-    // Set session
-    req.session.userId = userId;
-    req.session.username = username;
+    // Set session (+ bring over anything voted/saved before signing up)
+    startUserSession(req, { id: userId, username: username });
 
     res.json({ success: true, user: { id: userId, username, email } });
   } catch (error) {
@@ -312,8 +150,7 @@ app.post('/api/auth/login', async (req, res) => {
       return res.status(401).json({ error: 'Invalid email or password' });
     }
 
-    req.session.userId = user.id;
-    req.session.username = user.username;
+    startUserSession(req, user);
 
     res.json({ success: true, user: { id: user.id, username: user.username, email: user.email } });
   } catch (error) {
@@ -338,223 +175,1214 @@ app.get('/api/auth/me', (req, res) => {
   res.json({ user });
 });
 
+// Admins are listed by email in ADMIN_EMAILS (comma-separated)
+function isAdminEmail(email) {
+  var admins = (process.env.ADMIN_EMAILS || '').split(',').map(function(e) {
+    return e.trim().toLowerCase();
+  }).filter(Boolean);
+  return !!email && admins.includes(email.toLowerCase());
+}
+
+// Middleware: only logged-in admins get through
+function requireAdmin(req, res, next) {
+  if (!req.session.userId) {
+    return res.status(401).json({ error: 'Not logged in' });
+  }
+  var user = db.prepare('SELECT email FROM users WHERE id = ?').get(req.session.userId);
+  if (!user || !isAdminEmail(user.email)) {
+    return res.status(403).json({ error: 'Admin access required' });
+  }
+  next();
+}
+
 // ============================================
 // SONG ROUTES
 // ============================================
 
 // Get all songs
 app.get('/api/songs', (req, res) => {
-  const songs = db.prepare('SELECT * FROM songs ORDER BY global_elo DESC').all();
+  const songs = db.prepare('SELECT * FROM songs WHERE active = 1 ORDER BY global_elo DESC').all();
   res.json(songs);
 });
 
+// Genres in the active catalog, for the genre pickers
+app.get('/api/genres', (req, res) => {
+  var genres = db.prepare(`
+    SELECT genre, COUNT(*) as songs FROM songs
+    WHERE active = 1
+    GROUP BY genre
+    ORDER BY genre = 'untagged', genre
+  `).all();
+  res.json(genres);
+});
+
+// SQL condition + params for an optional genre filter (sql is '' when there's no filter)
+function genreFilter(genres, column) {
+  if (genres.length === 0) return { sql: '', params: [] };
+  return {
+    sql: column + ' IN (' + genres.map(function() { return '?'; }).join(', ') + ')',
+    params: genres
+  };
+}
+
+// SQLite expressions that truncate recorded_at to the start of a bucket
+var HISTORY_BUCKETS = {
+  hour: "strftime('%Y-%m-%d %H:00:00', recorded_at)",
+  day: 'date(recorded_at)',
+  week: "date(recorded_at, 'weekday 0', '-6 days')" // Monday of that week
+};
+
+// Rating over time for one song, bucketed for charting.
+// ?bucket=hour|day|week (default day), ?scope=global|personal, ?engine=elo|glicko2
+// Each point is the rating at the END of the bucket, plus the low/high inside it.
+app.get('/api/songs/:id/history', (req, res) => {
+  var songId = Number(req.params.id);
+  var bucket = req.query.bucket || 'day';
+  var scope = req.query.scope === 'personal' ? 'personal' : 'global';
+  var engine = getRatingEngine(req.query.engine);
+
+  if (!HISTORY_BUCKETS[bucket]) {
+    return res.status(400).json({ error: 'bucket must be hour, day or week' });
+  }
+
+  var song = db.prepare('SELECT id, title, artist FROM songs WHERE id = ?').get(songId);
+  if (!song) {
+    return res.status(404).json({ error: 'Song not found' });
+  }
+
+  var rows = db.prepare(`
+    SELECT ${HISTORY_BUCKETS[bucket]} as bucket, elo, glicko_rating, glicko_rd
+    FROM rating_history
+    WHERE song_id = ? AND ${scope === 'personal' ? 'session_id = ?' : 'session_id IS NULL'}
+    ORDER BY id
+  `).all(...(scope === 'personal' ? [songId, ownerOf(req)] : [songId]));
+
+  var points = [];
+  rows.forEach(function(row) {
+    var rating = summarizeRating(row, engine);
+    var last = points[points.length - 1];
+    if (!last || last.bucket !== row.bucket) {
+      last = { bucket: row.bucket, rating: rating.rating, deviation: rating.deviation,
+        low: rating.rating, high: rating.rating, changes: 0 };
+      points.push(last);
+    }
+    last.rating = rating.rating;
+    last.deviation = rating.deviation;
+    last.low = Math.min(last.low, rating.rating);
+    last.high = Math.max(last.high, rating.rating);
+    last.changes++;
+  });
+
+  res.json({ song: song, bucket: bucket, scope: scope, engine: engine, points: points });
+});
+
+// How two songs fare against each other. ?recent=10 results to list
+app.get('/api/songs/:a/vs/:b', (req, res) => {
+  var findSong = db.prepare('SELECT * FROM songs WHERE id = ?');
+  var a = findSong.get(Number(req.params.a));
+  var b = findSong.get(Number(req.params.b));
+  if (!a || !b) {
+    return res.status(404).json({ error: 'Song not found' });
+  }
+  if (a.id === b.id) {
+    return res.status(400).json({ error: 'Pick two different songs' });
+  }
+
+  var recent = Math.min(Math.max(parseInt(req.query.recent, 10) || 10, 1), 100);
+  res.json(headToHead(db, a, b, { recent: recent }));
+});
+
+// A song's most frequent and toughest opponents. ?limit=10
+app.get('/api/songs/:id/rivals', (req, res) => {
+  var song = db.prepare('SELECT id, title, artist, genre, global_elo FROM songs WHERE id = ?').get(Number(req.params.id));
+  if (!song) {
+    return res.status(404).json({ error: 'Song not found' });
+  }
+
+  var limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 10, 1), 50);
+  var result = rivals(db, song.id, limit);
+  res.json({ song: song, frequent: result.frequent, toughest: result.toughest });
+});
+
 // ============================================
-// SMART MATCHMAKING (Elo-aware)
+// ARTISTS (songs credited to each artist, see artists.js)
 // ============================================
 
-app.get('/api/battle', (req, res) => {
-  var sessionId = req.sessionID;
+// ?sort=avg_elo (default) | best_elo | win_rate | songs
+app.get('/api/artists', (req, res) => {
+  var sort = req.query.sort || 'avg_elo';
+  if (!SORTS[sort]) {
+    return res.status(400).json({ error: 'sort must be one of ' + Object.keys(SORTS).join(', ') });
+  }
+  res.json(artistLeaderboard(db, sort));
+});
 
-  // Get recent battles from session to avoid repeats
-  var recentBattles = req.session.recentBattles || [];
-  var recentSongIds = [];
-  recentBattles.forEach(function(pair) {
-    if (recentSongIds.indexOf(pair[0]) === -1) recentSongIds.push(pair[0]);
-    if (recentSongIds.indexOf(pair[1]) === -1) recentSongIds.push(pair[1]);
+// One artist's songs and records (name is case-insensitive, URL-encoded)
+app.get('/api/artists/:name', (req, res) => {
+  var artist = artistDetail(db, req.params.name);
+  if (!artist) {
+    return res.status(404).json({ error: 'Artist not found' });
+  }
+  res.json(artist);
+});
+
+// ============================================
+// ADMIN: CATALOG MANAGEMENT
+// ============================================
+
+// List every song, including disabled ones, with reference counts
+app.get('/api/admin/songs', requireAdmin, (req, res) => {
+  var songs = db.prepare(`
+    SELECT s.*,
+      (SELECT COUNT(*) FROM votes v WHERE v.winner_id = s.id OR v.loser_id = s.id) as vote_refs,
+      (SELECT COUNT(*) FROM user_playlists p WHERE p.song_id = s.id) as playlist_refs
+    FROM songs s
+    ORDER BY s.id
+  `).all();
+  res.json(songs);
+});
+
+// Create a song
+app.post('/api/admin/songs', requireAdmin, (req, res) => {
+  var result = validateSong(req.body, false);
+  if (result.errors.length > 0) {
+    return res.status(400).json({ error: result.errors.join(', ') });
+  }
+
+  var song = result.song;
+  var dupe = db.prepare('SELECT id FROM songs WHERE youtube_id = ?').get(song.youtube_id);
+  if (dupe) {
+    return res.status(409).json({ error: 'Song with this youtube_id already exists', id: dupe.id });
+  }
+
+  var info = db.prepare(`
+    INSERT INTO songs (title, artist, youtube_id, start_time, genre, votes)
+    VALUES (?, ?, ?, ?, ?, 0)
+  `).run(song.title, song.artist, song.youtube_id, song.start_time, song.genre);
+
+  var created = db.prepare('SELECT * FROM songs WHERE id = ?').get(info.lastInsertRowid);
+  ratingCache.songsChanged([created.id]);
+  res.status(201).json(created);
+});
+
+// Edit a song — id stays the same, so votes, personal ratings and playlists follow it
+app.patch('/api/admin/songs/:id', requireAdmin, (req, res) => {
+  var songId = Number(req.params.id);
+  var existing = db.prepare('SELECT * FROM songs WHERE id = ?').get(songId);
+  if (!existing) {
+    return res.status(404).json({ error: 'Song not found' });
+  }
+
+  var result = validateSong(req.body, true);
+  if (result.errors.length > 0) {
+    return res.status(400).json({ error: result.errors.join(', ') });
+  }
+
+  var fields = Object.keys(result.song);
+  if (fields.length === 0) {
+    return res.status(400).json({ error: 'No editable fields given' });
+  }
+
+  if (result.song.youtube_id) {
+    var dupe = db.prepare('SELECT id FROM songs WHERE youtube_id = ? AND id != ?').get(result.song.youtube_id, songId);
+    if (dupe) {
+      return res.status(409).json({ error: 'Song with this youtube_id already exists', id: dupe.id });
+    }
+  }
+
+  var sets = fields.map(function(f) { return f + ' = ?'; }).join(', ');
+  var values = fields.map(function(f) { return result.song[f]; });
+  db.prepare('UPDATE songs SET ' + sets + ' WHERE id = ?').run(...values, songId);
+  ratingCache.songsChanged([songId]);
+
+  res.json(db.prepare('SELECT * FROM songs WHERE id = ?').get(songId));
+});
+
+// Disable (retire) or re-enable a song — it leaves matchmaking and the leaderboard
+// but its votes, personal ratings and playlist entries are kept
+app.post('/api/admin/songs/:id/disable', requireAdmin, (req, res) => {
+  var info = db.prepare('UPDATE songs SET active = 0 WHERE id = ?').run(Number(req.params.id));
+  if (info.changes === 0) {
+    return res.status(404).json({ error: 'Song not found' });
+  }
+  ratingCache.songsChanged([req.params.id]);
+  res.json({ success: true, active: false });
+});
+
+app.post('/api/admin/songs/:id/enable', requireAdmin, (req, res) => {
+  var info = db.prepare('UPDATE songs SET active = 1 WHERE id = ?').run(Number(req.params.id));
+  if (info.changes === 0) {
+    return res.status(404).json({ error: 'Song not found' });
+  }
+  ratingCache.songsChanged([req.params.id]);
+  res.json({ success: true, active: true });
+});
+
+// Bulk import (CSV or JSON). Dry run by default — pass ?dryRun=false to write.
+// CSV is sent as a text/csv body; JSON as an array or { songs: [...] }.
+app.post('/api/admin/songs/import', requireAdmin, express.text({ type: 'text/csv', limit: '5mb' }), (req, res) => {
+  var format = typeof req.body === 'string' ? 'csv' : 'json';
+  var rows;
+  try {
+    rows = parseCatalog(req.body, format);
+  } catch (e) {
+    return res.status(400).json({ error: e.message });
+  }
+
+  var plan = planImport(db, rows);
+  var dryRun = req.query.dryRun !== 'false';
+  var insertedIds = dryRun ? [] : applyImport(db, plan);
+  ratingCache.songsChanged(insertedIds);
+
+  res.json({
+    dryRun: dryRun,
+    summary: plan.summary,
+    toInsert: plan.toInsert,
+    duplicates: plan.duplicates,
+    invalid: plan.invalid,
+    insertedIds: insertedIds
   });
+});
 
-  // Get all songs
-  var allSongs = db.prepare('SELECT * FROM songs').all();
-  if (allSongs.length < 2) {
-    return res.status(500).json({ error: 'Not enough songs' });
+// Bulk export — same columns as import, plus rating stats
+app.get('/api/admin/songs/export', requireAdmin, (req, res) => {
+  var format = req.query.format === 'json' ? 'json' : 'csv';
+  res.type(format === 'csv' ? 'text/csv' : 'application/json');
+  res.attachment('songs.' + format);
+  res.send(exportCatalog(db, format));
+});
+
+// Hard delete — only for songs that were never battled (otherwise disable it)
+app.delete('/api/admin/songs/:id', requireAdmin, (req, res) => {
+  var songId = Number(req.params.id);
+  var song = db.prepare('SELECT id FROM songs WHERE id = ?').get(songId);
+  if (!song) {
+    return res.status(404).json({ error: 'Song not found' });
   }
 
-  // 20% chance: wildcard random matchup
-  if (Math.random() < 0.2) {
-    var shuffled = allSongs.sort(function() { return Math.random() - 0.5; });
-    return res.json({ left: shuffled[0], right: shuffled[1] });
+  var voteRefs = db.prepare('SELECT COUNT(*) as count FROM votes WHERE winner_id = ? OR loser_id = ?').get(songId, songId);
+  if (voteRefs.count > 0) {
+    return res.status(409).json({ error: 'Song has battle history — disable it instead', votes: voteRefs.count });
   }
 
-  // Filter out recently battled songs (if possible)
-  var available = allSongs.filter(function(s) {
-    return recentSongIds.indexOf(s.id) === -1;
+  var removeSong = db.transaction(function(id) {
+    db.prepare('DELETE FROM personal_ratings WHERE song_id = ?').run(id);
+    db.prepare('DELETE FROM youtube_sync_jobs WHERE song_id = ?').run(id);
+    var playlists = db.prepare('DELETE FROM user_playlists WHERE song_id = ?').run(id);
+    db.prepare('DELETE FROM songs WHERE id = ?').run(id);
+    return playlists.changes;
   });
-  // If too few available, use all songs
-  if (available.length < 2) available = allSongs;
-
-  // Pick a random seed song
-  var seed = available[Math.floor(Math.random() * available.length)];
-
-  // Get seed's Elo: personal first, then global
-  var personalSeed = db.prepare('SELECT elo FROM personal_ratings WHERE session_id = ? AND song_id = ?')
-    .get(sessionId, seed.id);
-  var seedElo = personalSeed ? personalSeed.elo : seed.global_elo;
-
-  // Find opponents within ±150 Elo
-  var candidates = available.filter(function(s) {
-    if (s.id === seed.id) return false;
-    var personalOpp = db.prepare('SELECT elo FROM personal_ratings WHERE session_id = ? AND song_id = ?')
-      .get(sessionId, s.id);
-    var oppElo = personalOpp ? personalOpp.elo : s.global_elo;
-    return Math.abs(oppElo - seedElo) <= 150;
+  var playlistRemoved = removeSong(songId);
+  ratingCache.songsChanged([songId]);
+
+  res.json({ success: true, playlistEntriesRemoved: playlistRemoved });
+});
+
+// ============================================
+// ADMIN VOTE ABUSE ROUTES
+// ============================================
+
+// Flags raised by abuse.js. ?status=open (default) | resolved | all
+app.get('/api/admin/flags', requireAdmin, (req, res) => {
+  var status = req.query.status || 'open';
+  var where = {
+    open: 'WHERE f.resolved_at IS NULL',
+    resolved: 'WHERE f.resolved_at IS NOT NULL',
+    all: ''
+  }[status];
+  if (where === undefined) {
+    return res.status(400).json({ error: 'status must be open, resolved or all' });
+  }
+
+  var flags = db.prepare(`
+    SELECT f.*,
+      (SELECT COUNT(*) FROM votes v
+        WHERE v.invalidated_at IS NULL
+          AND (v.session_id = f.session_id OR v.user_id = f.user_id OR v.ip = f.ip)) as valid_votes
+    FROM vote_flags f
+    ${where}
+    ORDER BY f.created_at DESC, f.id DESC
+  `).all().map(function(flag) {
+    flag.details = flag.details ? JSON.parse(flag.details) : null;
+    return flag;
   });
+  res.json(flags);
+});
 
-  // If no opponents in ±150, widen to ±300
-  if (candidates.length === 0) {
-    candidates = available.filter(function(s) {
-      if (s.id === seed.id) return false;
-      var personalOpp = db.prepare('SELECT elo FROM personal_ratings WHERE session_id = ? AND song_id = ?')
-        .get(sessionId, s.id);
-      var oppElo = personalOpp ? personalOpp.elo : s.global_elo;
-      return Math.abs(oppElo - seedElo) <= 300;
-    });
+// Close a flag without touching any votes
+app.post('/api/admin/flags/:id/dismiss', requireAdmin, (req, res) => {
+  var info = db.prepare(`
+    UPDATE vote_flags SET resolved_at = CURRENT_TIMESTAMP, resolution = 'dismissed'
+    WHERE id = ? AND resolved_at IS NULL
+  `).run(Number(req.params.id));
+  if (info.changes === 0) {
+    return res.status(404).json({ error: 'Open flag not found' });
   }
+  res.json({ success: true });
+});
 
-  // Still nothing? Pick anyone except seed
-  if (candidates.length === 0) {
-    candidates = available.filter(function(s) { return s.id !== seed.id; });
+// Invalidate every vote from a session / user / IP, then replay global ratings without them.
+// Body: { flagId } to act on a flag's subject, or any of { sessionId, userId, ip }
+app.post('/api/admin/votes/invalidate', requireAdmin, (req, res) => {
+  var subject = {
+    sessionId: req.body.sessionId || null,
+    userId: req.body.userId ? String(req.body.userId) : null,
+    ip: req.body.ip || null
+  };
+
+  if (req.body.flagId) {
+    var flag = db.prepare('SELECT * FROM vote_flags WHERE id = ?').get(Number(req.body.flagId));
+    if (!flag) {
+      return res.status(404).json({ error: 'Flag not found' });
+    }
+    subject = { sessionId: flag.session_id, userId: flag.user_id, ip: flag.ip };
   }
 
-  // Pick a random opponent from candidates
-  var opponent = candidates[Math.floor(Math.random() * candidates.length)];
+  if (!subject.sessionId && !subject.userId && !subject.ip) {
+    return res.status(400).json({ error: 'flagId, sessionId, userId or ip required' });
+  }
 
-  // Randomize left/right
-  if (Math.random() > 0.5) {
-    res.json({ left: seed, right: opponent });
-  } else {
-    res.json({ left: opponent, right: seed });
+  var invalidated = invalidateVotes(db, subject);
+  if (invalidated === 0) {
+    return res.json({ success: true, invalidated: 0, songsChanged: [] });
   }
+
+  // Ratings are order-dependent, so rebuild from the remaining votes rather than patch
+  var result = replayVotes(db, getRatingOptions());
+  writeShadow(db, result);
+  var changed = diffShadow(db);
+  swapShadow(db);
+  ratingCache.invalidate();
+  liveFeed.publish('refresh', { reason: 'votes invalidated' });
+  liveFeed.publish('total', { totalBattles: totalBattles() });
+
+  console.log('Invalidated ' + invalidated + ' votes; ' + changed.length + ' songs re-rated');
+  res.json({
+    success: true,
+    invalidated: invalidated,
+    votesReplayed: result.votesReplayed,
+    songsChanged: changed.map(function(row) {
+      return { id: row.id, title: row.title, artist: row.artist, from: row.live_elo, to: row.replay_elo };
+    })
+  });
+});
+
+// ============================================
+// ADMIN MATCHMAKING A/B
+// ============================================
+
+// Per-strategy results for comparing matchmaking strategies.
+// served counts tokens still on record (stale unvoted ones are pruned as sessions return);
+// avg_rd is the mean Glicko deviation of the songs right after those votes — lower = more settled.
+app.get('/api/admin/matchmaking', requireAdmin, (req, res) => {
+  var rows = db.prepare(`
+    SELECT COALESCE(t.strategy, 'unknown') as strategy,
+      COUNT(*) as served,
+      COUNT(v.id) as voted,
+      SUM(CASE WHEN v.outcome = 'win' THEN 1 ELSE 0 END) as wins,
+      SUM(CASE WHEN v.outcome = 'tie' THEN 1 ELSE 0 END) as ties,
+      SUM(CASE WHEN v.outcome = 'neither' THEN 1 ELSE 0 END) as neither,
+      (SELECT ROUND(AVG(h.glicko_rd), 1) FROM rating_history h
+        JOIN votes hv ON hv.id = h.vote_id
+        JOIN battle_tokens ht ON ht.id = hv.battle_id
+        WHERE h.session_id IS NULL AND hv.invalidated_at IS NULL
+          AND COALESCE(ht.strategy, 'unknown') = COALESCE(t.strategy, 'unknown')) as avg_rd
+    FROM battle_tokens t
+    LEFT JOIN votes v ON v.battle_id = t.id AND v.invalidated_at IS NULL
+    GROUP BY COALESCE(t.strategy, 'unknown')
+    ORDER BY strategy
+  `).all();
+
+  res.json({
+    configured: process.env.MATCHMAKING_STRATEGY || 'elo-window',
+    strategies: rows.map(function(row) {
+      row.vote_rate = row.served > 0 ? Math.round(row.voted / row.served * 1000) / 1000 : 0;
+      return row;
+    })
+  });
 });
 
 // ============================================
-// VOTE HANDLER (with Elo calculations)
+// SMART MATCHMAKING (pluggable, see matchmaking.js)
 // ============================================
 
+// ?genre=rock or ?genre=rock,pop keeps both songs inside those genres.
+// ?share=<slug> battles only the songs on a shared list (see shares.js).
+app.get('/api/battle', (req, res) => {
+  var sessionId = req.sessionID;
+  var owner = ownerOf(req);
+  var genres = parseGenreList(req.query.genre);
+
+  var shared = null;
+  if (req.query.share) {
+    var share = findPublished(db, req.query.share);
+    if (!share) {
+      return res.status(404).json({ error: 'This link is not shared (anymore)' });
+    }
+    shared = new Set(sharedSongIds(db, share));
+  }
+
+  // Get recently voted battles (redeemed tokens) to avoid repeats
+  var recentBattles = recentBattlePairs(db, sessionId, 10);
+  var recentSongIds = [];
+  recentBattles.forEach(function(pair) {
+    if (recentSongIds.indexOf(pair[0]) === -1) recentSongIds.push(pair[0]);
+    if (recentSongIds.indexOf(pair[1]) === -1) recentSongIds.push(pair[1]);
+  });
+
+  // Active songs (in the chosen genres) and this owner's ratings, from memory
+  var view = ratingCache.view(owner, genres, shared);
+  if (view.songs.length < 2) {
+    if (shared) {
+      return res.status(400).json({ error: 'Not enough songs on this list to battle' });
+    }
+    if (genres.length > 0) {
+      return res.status(400).json({ error: 'Not enough songs in ' + genres.join(', ') });
+    }
+    return res.status(500).json({ error: 'Not enough songs' });
+  }
+
+  var strategy = getStrategy(owner);
+  var pair = pickPair(strategy, {
+    songs: view.songs,
+    ranked: view.ranked,
+    ratingOf: view.ratingOf,
+    inRange: view.inRange,
+    recentSongIds: recentSongIds,
+    judged: judgedPairs(req)
+  });
+
+  sendBattle(req, res, pair[0], pair[1], strategy);
+});
+
+// Pairs this visitor has already voted on (any outcome), as a lookup for matchmaking
+function judgedPairs(req) {
+  var rows = req.session.userId
+    ? db.prepare('SELECT DISTINCT winner_id, loser_id FROM votes WHERE user_id = ? OR session_id = ?')
+      .all(req.session.userId, req.sessionID)
+    : db.prepare('SELECT DISTINCT winner_id, loser_id FROM votes WHERE session_id = ?').all(req.sessionID);
+  var seen = new Set(rows.map(function(row) { return pairKey(row.winner_id, row.loser_id); }));
+  return function(a, b) { return seen.has(pairKey(a, b)); };
+}
+
+// Respond with a matchup plus the single-use token needed to vote on it
+function sendBattle(req, res, left, right, strategy) {
+  var token = issueBattleToken(db, SESSION_SECRET, req.sessionID, [left.id, right.id], strategy);
+  res.json({ left: left, right: right, battleId: token.battleId, expiresAt: token.expiresAt, strategy: strategy });
+}
+
+// ============================================
+// VOTE HANDLER (with Elo + Glicko-2 calculations)
+// ============================================
+
+// Pull the rating state (see ratings.js) out of a songs row
+function songRatingState(song) {
+  return {
+    elo: song.global_elo,
+    glicko_rating: song.glicko_rating,
+    glicko_rd: song.glicko_rd,
+    glicko_vol: song.glicko_vol
+  };
+}
+
+// Change since the song's previous battle, in the engine's own rating
+function songRatingDelta(song, engine) {
+  if (engine === 'glicko2') {
+    return Math.round(song.glicko_rating) - Math.round(song.glicko_prev);
+  }
+  return song.global_elo - song.prev_elo;
+}
+
+// Body: { battleId, winnerId, loserId } for a normal vote, or
+//       { battleId, outcome: 'tie' | 'neither', songIds: [leftId, rightId] }
+// battleId is the token from /api/battle — each one can be voted on once.
 app.post('/api/vote', (req, res) => {
-  const { winnerId, loserId } = req.body;
+  const outcome = req.body.outcome || 'win';
   const userId = req.session.userId || null;
   const sessionId = req.sessionID;
 
-  if (!winnerId || !loserId) {
-    return res.status(400).json({ error: 'winnerId and loserId required' });
+  if (!Object.prototype.hasOwnProperty.call(OUTCOME_SCORES, outcome)) {
+    return res.status(400).json({ error: 'outcome must be win, tie or neither' });
   }
 
-  // Get both songs
-  var winner = db.prepare('SELECT * FROM songs WHERE id = ?').get(winnerId);
-  var loser = db.prepare('SELECT * FROM songs WHERE id = ?').get(loserId);
+  var firstId, secondId;
+  if (outcome === 'win') {
+    firstId = req.body.winnerId;
+    secondId = req.body.loserId;
+    if (!firstId || !secondId) {
+      return res.status(400).json({ error: 'winnerId and loserId required' });
+    }
+  } else {
+    var songIds = req.body.songIds;
+    if (!Array.isArray(songIds) || songIds.length !== 2 || !songIds[0] || !songIds[1]) {
+      return res.status(400).json({ error: 'songIds must list the two songs' });
+    }
+    firstId = songIds[0];
+    secondId = songIds[1];
+  }
 
-  if (!winner || !loser) {
+  // Get both songs (retired songs can't be voted on)
+  var first = db.prepare('SELECT * FROM songs WHERE id = ? AND active = 1').get(firstId);
+  var second = db.prepare('SELECT * FROM songs WHERE id = ? AND active = 1').get(secondId);
+
+  if (!first || !second || first.id === second.id) {
     return res.status(400).json({ error: 'Invalid song IDs' });
   }
 
+  var limited = checkRateLimit(db, sessionId, userId);
+  if (limited) {
+    res.set('Retry-After', String(limited.retryAfter));
+    return res.status(429).json({ error: limited.error });
+  }
+
+  var ranksBefore = liveRanks([first.id, second.id]);
+
+  // Burn the battle token and record the vote together, so a failed write doesn't eat the token
+  var redeemed = db.transaction(function() {
+    var check = redeemBattleToken(db, SESSION_SECRET, req.body.battleId, sessionId, [first.id, second.id]);
+    if (!check.ok) return check;
+
+    recordVote({
+      outcome: outcome,
+      first: first,
+      second: second,
+      userId: userId,
+      sessionId: sessionId,
+      owner: ownerOf(req),
+      ip: req.ip,
+      battleId: check.token.id
+    });
+    return check;
+  })();
+
+  if (!redeemed.ok) {
+    return res.status(redeemed.status).json({ error: redeemed.error });
+  }
+
+  // Flag suspicious patterns for admin review — the vote itself still counts
+  detectAbuse(db, sessionId, userId, req.ip);
+  announceVote(first, second, outcome, ranksBefore);
+
+  var engine = getRatingEngine();
+  var updated = [first.id, second.id].map(function(id) {
+    var song = db.prepare('SELECT * FROM songs WHERE id = ?').get(id);
+    var rating = summarizeRating(songRatingState(song), engine);
+    return {
+      id: song.id,
+      title: song.title,
+      rating: rating.rating,
+      deviation: rating.deviation,
+      ratingChange: outcome === 'neither' ? 0 : songRatingDelta(song, engine)
+    };
+  });
+
+  if (outcome !== 'win') {
+    return res.json({
+      success: true,
+      outcome: outcome,
+      message: outcome === 'tie'
+        ? 'Tie recorded: ' + first.title + ' = ' + second.title
+        : 'Neither recorded for ' + first.title + ' and ' + second.title,
+      engine: engine,
+      songs: updated
+    });
+  }
+
+  // Return updated winner info
+  var updatedWinner = db.prepare('SELECT * FROM songs WHERE id = ?').get(first.id);
+  res.json({
+    success: true,
+    outcome: outcome,
+    message: 'Vote recorded for ' + updatedWinner.title + '!',
+    newVoteCount: updatedWinner.votes,
+    elo: updatedWinner.global_elo,
+    eloChange: updatedWinner.global_elo - updatedWinner.prev_elo,
+    engine: engine,
+    rating: updated[0].rating,
+    deviation: updated[0].deviation,
+    ratingChange: updated[0].ratingChange,
+    songs: updated
+  });
+});
+
+// Append a rating snapshot (sessionId null = global rating)
+function snapshotRating(songId, sessionId, voteId, state) {
+  db.prepare(`
+    INSERT INTO rating_history (song_id, session_id, vote_id, elo, glicko_rating, glicko_rd)
+    VALUES (?, ?, ?, ?, ?, ?)
+  `).run(songId, sessionId, voteId, state.elo, state.glicko_rating, state.glicko_rd);
+}
+
+// ============================================
+// LIVE FEED (Server-Sent Events, see live.js)
+// ============================================
+
+function totalBattles() {
+  return db.prepare('SELECT COUNT(*) as count FROM votes WHERE invalidated_at IS NULL').get().count;
+}
+
+// Position on the cumulative leaderboard (same order as /api/leaderboard)
+function leaderboardRank(songId, engine) {
+  var column = engine === 'glicko2' ? 'glicko_rating' : 'global_elo';
+  return db.prepare(`
+    SELECT COUNT(*) + 1 as rank
+    FROM songs o, songs s
+    WHERE s.id = ? AND o.active = 1 AND o.id != s.id
+      AND (o.${column} > s.${column} OR (o.${column} = s.${column} AND o.title < s.title))
+  `).get(songId).rank;
+}
+
+// Ranks of some songs right now, or null when nobody is listening
+function liveRanks(songIds) {
+  if (liveFeed.size() === 0) return null;
+  var engine = getRatingEngine();
+  var ranks = {};
+  songIds.forEach(function(id) { ranks[id] = leaderboardRank(id, engine); });
+  return ranks;
+}
+
+// Push a recorded vote to subscribers: the vote, the new total and the two songs' rank moves.
+// ranksBefore comes from liveRanks() taken before the vote was written.
+function announceVote(first, second, outcome, ranksBefore) {
+  if (!ranksBefore) return;
+  var total = totalBattles();
+  var engine = getRatingEngine();
+
+  liveFeed.publish('vote', {
+    outcome: outcome,
+    songs: [first, second].map(function(song) {
+      return { id: song.id, title: song.title, artist: song.artist };
+    }),
+    winnerId: outcome === 'win' ? first.id : null,
+    totalBattles: total
+  });
+  liveFeed.publish('total', { totalBattles: total });
+
+  if (OUTCOME_SCORES[outcome] === null) return;
+  liveFeed.publish('ranks', {
+    engine: engine,
+    songs: [first.id, second.id].map(function(id) {
+      var song = db.prepare('SELECT * FROM songs WHERE id = ?').get(id);
+      var rating = summarizeRating(songRatingState(song), engine);
+      return {
+        id: song.id,
+        title: song.title,
+        artist: song.artist,
+        rating: rating.rating,
+        deviation: rating.deviation,
+        rank: leaderboardRank(id, engine),
+        previousRank: ranksBefore[id]
+      };
+    })
+  });
+}
+
+// Event stream: vote, total, ranks and refresh events
+app.get('/api/live', (req, res) => {
+  liveFeed.subscribe(req, res, [['total', { totalBattles: totalBattles() }]]);
+});
+
+// Write one vote and everything derived from it, in a single transaction.
+// For 'win' the first song is the winner; ties score 0.5 each;
+// 'neither' leaves ratings alone but counts against both genres/artists.
+var recordVote = db.transaction(function(vote) {
+  var first = vote.first;
+  var second = vote.second;
+  var outcome = vote.outcome;
+  var score = OUTCOME_SCORES[outcome];
+  var sessionId = vote.sessionId;
+  var owner = vote.owner; // personal data key, see accounts.js
+  var userId = vote.userId;
+
   // Record vote in votes table
-  db.prepare('INSERT INTO votes (user_id, winner_id, loser_id) VALUES (?, ?, ?)').run(userId, winnerId, loserId);
+  var voteId = db.prepare(`
+    INSERT INTO votes (user_id, session_id, ip, winner_id, loser_id, outcome, battle_id, room_id)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+  `).run(userId, sessionId, vote.ip || null, first.id, second.id, outcome, vote.battleId, vote.roomId || null).lastInsertRowid;
 
   // Keep legacy votes count
-  db.prepare('UPDATE songs SET votes = votes + 1 WHERE id = ?').run(winnerId);
+  if (outcome === 'win') {
+    db.prepare('UPDATE songs SET votes = votes + 1 WHERE id = ?').run(first.id);
+  }
 
-  // --- GLOBAL ELO ---
-  var globalResult = calculateElo(winner.global_elo, loser.global_elo);
+  if (score !== null) {
+    var firstWin = outcome === 'win' ? 1 : 0;
+    var draw = outcome === 'tie' ? 1 : 0;
+
+    // --- GLOBAL RATINGS (Elo + Glicko-2) ---
+    var globalResult = rateBattle(songRatingState(first), songRatingState(second), score, getRatingOptions());
+
+    // Save previous ratings for delta display, then update
+    db.prepare('UPDATE songs SET prev_elo = global_elo, glicko_prev = glicko_rating WHERE id IN (?, ?)')
+      .run(first.id, second.id);
+
+    var updateGlobal = db.prepare(`
+      UPDATE songs SET global_elo = ?, glicko_rating = ?, glicko_rd = ?, glicko_vol = ?,
+        total_battles = total_battles + 1, total_wins = total_wins + ?, total_draws = total_draws + ?
+      WHERE id = ?
+    `);
+    updateGlobal.run(globalResult.first.elo, globalResult.first.glicko_rating,
+      globalResult.first.glicko_rd, globalResult.first.glicko_vol, firstWin, draw, first.id);
+    updateGlobal.run(globalResult.second.elo, globalResult.second.glicko_rating,
+      globalResult.second.glicko_rd, globalResult.second.glicko_vol, 0, draw, second.id);
+
+    snapshotRating(first.id, null, voteId, globalResult.first);
+    snapshotRating(second.id, null, voteId, globalResult.second);
+
+    // --- PERSONAL RATINGS (per session, or per account when logged in) ---
+    // Get or initialize personal ratings
+    var personalFirst = db.prepare('SELECT * FROM personal_ratings WHERE session_id = ? AND song_id = ?')
+      .get(owner, first.id);
+    var personalSecond = db.prepare('SELECT * FROM personal_ratings WHERE session_id = ? AND song_id = ?')
+      .get(owner, second.id);
+
+    // Initialize at the global rating if no personal rating exists yet
+    var insertPersonal = db.prepare(`
+      INSERT INTO personal_ratings (session_id, song_id, elo, glicko_rating, glicko_rd, glicko_vol, battles, wins)
+      VALUES (?, ?, ?, ?, ?, ?, 0, 0)
+    `);
+    if (!personalFirst) {
+      personalFirst = initialPersonalState(songRatingState(first));
+      insertPersonal.run(owner, first.id, personalFirst.elo, personalFirst.glicko_rating,
+        personalFirst.glicko_rd, personalFirst.glicko_vol);
+    }
+    if (!personalSecond) {
+      personalSecond = initialPersonalState(songRatingState(second));
+      insertPersonal.run(owner, second.id, personalSecond.elo, personalSecond.glicko_rating,
+        personalSecond.glicko_rd, personalSecond.glicko_vol);
+    }
 
-  // Save prev_elo for delta display, then update
-  db.prepare('UPDATE songs SET prev_elo = global_elo WHERE id = ?').run(winnerId);
-  db.prepare('UPDATE songs SET prev_elo = global_elo WHERE id = ?').run(loserId);
+    var personalResult = rateBattle(personalFirst, personalSecond, score, getRatingOptions());
 
-  db.prepare(`
-    UPDATE songs SET global_elo = ?, total_battles = total_battles + 1, total_wins = total_wins + 1
-    WHERE id = ?
-  `).run(globalResult.newWinnerRating, winnerId);
+    var updatePersonal = db.prepare(`
+      UPDATE personal_ratings SET elo = ?, glicko_rating = ?, glicko_rd = ?, glicko_vol = ?,
+        battles = battles + 1, wins = wins + ?, draws = draws + ?
+      WHERE session_id = ? AND song_id = ?
+    `);
+    updatePersonal.run(personalResult.first.elo, personalResult.first.glicko_rating,
+      personalResult.first.glicko_rd, personalResult.first.glicko_vol, firstWin, draw, owner, first.id);
+    updatePersonal.run(personalResult.second.elo, personalResult.second.glicko_rating,
+      personalResult.second.glicko_rd, personalResult.second.glicko_vol, 0, draw, owner, second.id);
 
-  db.prepare(`
-    UPDATE songs SET global_elo = ?, total_battles = total_battles + 1
-    WHERE id = ?
-  `).run(globalResult.newLoserRating, loserId);
+    snapshotRating(first.id, owner, voteId, personalResult.first);
+    snapshotRating(second.id, owner, voteId, personalResult.second);
+  }
 
-  // --- PERSONAL ELO (session-based) ---
-  // Get or initialize personal ratings
-  var personalWinner = db.prepare('SELECT * FROM personal_ratings WHERE session_id = ? AND song_id = ?')
-    .get(sessionId, winnerId);
-  var personalLoser = db.prepare('SELECT * FROM personal_ratings WHERE session_id = ? AND song_id = ?')
-    .get(sessionId, loserId);
+  // --- GENRE AFFINITY ---
+  // win: winner's genre gets the win; tie: both get a draw; neither: both just take the battle
+  var updateAffinity = db.prepare(`
+    INSERT INTO genre_affinity (session_id, genre, wins, draws, total_battles)
+    VALUES (?, ?, ?, ?, 1)
+    ON CONFLICT(session_id, genre) DO UPDATE SET
+      wins = wins + excluded.wins, draws = draws + excluded.draws, total_battles = total_battles + 1
+  `);
+  [first, second].forEach(function(song, idx) {
+    if (!song.genre || song.genre === 'untagged') return;
+    var win = outcome === 'win' && idx === 0 ? 1 : 0;
+    var draw = outcome === 'tie' ? 1 : 0;
+    updateAffinity.run(owner, song.genre, win, draw);
+  });
 
-  // Initialize at global Elo if no personal rating exists yet
-  if (!personalWinner) {
-    db.prepare('INSERT INTO personal_ratings (session_id, song_id, elo, battles, wins) VALUES (?, ?, ?, 0, 0)')
-      .run(sessionId, winnerId, winner.global_elo);
-    personalWinner = { elo: winner.global_elo, battles: 0, wins: 0 };
+  // --- LEGACY: Update user preferences if logged in ---
+  // win: +1 winner / -1 loser; neither: -1 both; tie: no change
+  if (userId) {
+    var updatePreference = db.prepare(`
+      INSERT INTO user_preferences (user_id, artist, score)
+      VALUES (?, ?, ?)
+      ON CONFLICT(user_id, artist) DO UPDATE SET score = score + excluded.score
+    `);
+    if (outcome === 'win') {
+      updatePreference.run(userId, first.artist, 1);
+      updatePreference.run(userId, second.artist, -1);
+    } else if (outcome === 'neither') {
+      updatePreference.run(userId, first.artist, -1);
+      updatePreference.run(userId, second.artist, -1);
+    }
   }
-  if (!personalLoser) {
-    db.prepare('INSERT INTO personal_ratings (session_id, song_id, elo, battles, wins) VALUES (?, ?, ?, 0, 0)')
-      .run(sessionId, loserId, loser.global_elo);
-    personalLoser = { elo: loser.global_elo, battles: 0, wins: 0 };
+
+  // Re-read on the next battle, once this transaction has committed (or rolled back)
+  ratingCache.songsChanged([first.id, second.id]);
+  ratingCache.ownerChanged(owner);
+
+  return voteId;
+});
+
+// Run a tournament or room step that may also record a global vote, in one transaction.
+// step returns { ok, ... }; a failure once it has written (a battle token that won't
+// redeem, say) rolls everything back rather than leaving the step half done.
+function redeemOrUndo(step) {
+  try {
+    return db.transaction(function() {
+      var result = step();
+      if (!result.ok) throw result;
+      return result;
+    })();
+  } catch (e) {
+    if (e && e.ok === false) return e;
+    throw e;
   }
+}
 
-  var personalResult = calculateElo(personalWinner.elo, personalLoser.elo);
+// ============================================
+// TOURNAMENT ROUTES (single elimination, see tournament.js)
+// ============================================
 
-  db.prepare('UPDATE personal_ratings SET elo = ?, battles = battles + 1, wins = wins + 1 WHERE session_id = ? AND song_id = ?')
-    .run(personalResult.newWinnerRating, sessionId, winnerId);
-  db.prepare('UPDATE personal_ratings SET elo = ?, battles = battles + 1 WHERE session_id = ? AND song_id = ?')
-    .run(personalResult.newLoserRating, sessionId, loserId);
+// Tournaments belong to the session (or account) that created them
+function ownsTournament(req, tournament) {
+  return tournament.session_id === req.sessionID ||
+    (!!req.session.userId && tournament.user_id === req.session.userId);
+}
 
-  // --- GENRE AFFINITY ---
-  if (winner.genre && winner.genre !== 'untagged') {
-    db.prepare(`
-      INSERT INTO genre_affinity (session_id, genre, wins, total_battles)
-      VALUES (?, ?, 1, 1)
-      ON CONFLICT(session_id, genre) DO UPDATE SET wins = wins + 1, total_battles = total_battles + 1
-    `).run(sessionId, winner.genre);
+// A bracket as its viewer sees it. When the tournament feeds global ratings the owner
+// also gets a battle token for the match up next — /advance redeems it like /api/vote does.
+function bracketFor(req, tournamentId, isOwner) {
+  var bracket = getBracket(db, tournamentId);
+  bracket.isOwner = isOwner;
+  if (isOwner && bracket.feedsGlobal && bracket.currentMatchId) {
+    var match = currentMatch(db, tournamentId);
+    bracket.battleId = servedBattleToken(db, SESSION_SECRET, req.sessionID, [match.song_a_id, match.song_b_id], 'tournament').battleId;
   }
-  if (loser.genre && loser.genre !== 'untagged') {
-    db.prepare(`
-      INSERT INTO genre_affinity (session_id, genre, wins, total_battles)
-      VALUES (?, ?, 0, 1)
-      ON CONFLICT(session_id, genre) DO UPDATE SET total_battles = total_battles + 1
-    `).run(sessionId, loser.genre);
+  return bracket;
+}
+
+// Body: { size: 8 | 16 | 32, genre?, feedsGlobal?, name? }
+app.post('/api/tournaments', (req, res) => {
+  var created = createTournament(db, {
+    sessionId: req.sessionID,
+    userId: req.session.userId || null,
+    size: req.body.size,
+    genre: req.body.genre,
+    feedsGlobal: req.body.feedsGlobal === true,
+    name: req.body.name
+  });
+  if (created.error) {
+    return res.status(400).json({ error: created.error });
   }
+  res.status(201).json(bracketFor(req, created.tournamentId, true));
+});
 
-  // --- RECENT BATTLES (session) ---
-  if (!req.session.recentBattles) req.session.recentBattles = [];
-  req.session.recentBattles.push([winnerId, loserId]);
-  if (req.session.recentBattles.length > 10) req.session.recentBattles.shift();
+// This session's tournaments, newest first
+app.get('/api/tournaments', (req, res) => {
+  var tournaments = db.prepare(`
+    SELECT t.id, t.name, t.size, t.genre, t.feeds_global, t.status, t.created_at, t.completed_at,
+      s.title as champion_title, s.artist as champion_artist
+    FROM tournaments t
+    LEFT JOIN songs s ON s.id = t.champion_id
+    WHERE t.session_id = ? OR (t.user_id IS NOT NULL AND t.user_id = ?)
+    ORDER BY t.created_at DESC, t.id DESC
+  `).all(req.sessionID, req.session.userId || null);
+  res.json(tournaments);
+});
 
-  // --- LEGACY: Update user preferences if logged in ---
-  if (userId) {
-    if (winner) {
-      db.prepare(`
-        INSERT INTO user_preferences (user_id, artist, score)
-        VALUES (?, ?, 1)
-        ON CONFLICT(user_id, artist) DO UPDATE SET score = score + 1
-      `).run(userId, winner.artist);
+// Anyone can view a bracket; only the owner can play it
+app.get('/api/tournaments/:id', (req, res) => {
+  var tournament = db.prepare('SELECT id, session_id, user_id FROM tournaments WHERE id = ?').get(Number(req.params.id));
+  if (!tournament) {
+    return res.status(404).json({ error: 'Tournament not found' });
+  }
+  res.json(bracketFor(req, tournament.id, ownsTournament(req, tournament)));
+});
+
+// Decide the current match. Body: { matchId, winnerId, battleId? }
+// When the tournament feeds global ratings this also records a normal 'win' vote,
+// which needs the match's battleId from the bracket (see bracketFor).
+app.post('/api/tournaments/:id/advance', (req, res) => {
+  var tournament = db.prepare('SELECT * FROM tournaments WHERE id = ?').get(Number(req.params.id));
+  if (!tournament) {
+    return res.status(404).json({ error: 'Tournament not found' });
+  }
+  if (!ownsTournament(req, tournament)) {
+    return res.status(403).json({ error: 'Only the tournament creator can advance it' });
+  }
+  if (!req.body.matchId || !req.body.winnerId) {
+    return res.status(400).json({ error: 'matchId and winnerId required' });
+  }
+
+  var userId = req.session.userId || null;
+  if (tournament.feeds_global) {
+    var limited = checkRateLimit(db, req.sessionID, userId);
+    if (limited) {
+      res.set('Retry-After', String(limited.retryAfter));
+      return res.status(429).json({ error: limited.error });
     }
-    if (loser) {
-      db.prepare(`
-        INSERT INTO user_preferences (user_id, artist, score)
-        VALUES (?, ?, -1)
-        ON CONFLICT(user_id, artist) DO UPDATE SET score = score - 1
-      `).run(userId, loser.artist);
+  }
+
+  var upNext = currentMatch(db, tournament.id);
+  var ranksBefore = tournament.feeds_global && upNext ? liveRanks([upNext.song_a_id, upNext.song_b_id]) : null;
+
+  var decided = redeemOrUndo(function() {
+    var result = decideMatch(db, tournament, req.body.matchId, req.body.winnerId);
+    if (!result.ok || !tournament.feeds_global) return result;
+
+    var check = redeemBattleToken(db, SESSION_SECRET, req.body.battleId, req.sessionID,
+      [result.match.song_a_id, result.match.song_b_id]);
+    if (!check.ok) return check;
+
+    var voteId = recordVote({
+      outcome: 'win',
+      first: db.prepare('SELECT * FROM songs WHERE id = ?').get(result.winnerId),
+      second: db.prepare('SELECT * FROM songs WHERE id = ?').get(result.loserId),
+      userId: userId,
+      sessionId: req.sessionID,
+      owner: ownerOf(req),
+      ip: req.ip,
+      battleId: check.token.id
+    });
+    db.prepare('UPDATE tournament_matches SET vote_id = ? WHERE id = ?').run(voteId, result.match.id);
+    return result;
+  });
+
+  if (!decided.ok) {
+    return res.status(decided.status).json({ error: decided.error });
+  }
+  if (tournament.feeds_global) {
+    detectAbuse(db, req.sessionID, userId, req.ip);
+    var findSong = db.prepare('SELECT * FROM songs WHERE id = ?');
+    announceVote(findSong.get(decided.winnerId), findSong.get(decided.loserId), 'win', ranksBefore);
+  }
+
+  res.json(bracketFor(req, tournament.id, true));
+});
+
+// ============================================
+// PARTY ROOMS (shared matchups behind a join code, see rooms.js)
+// ============================================
+
+// The host is the session (or account) that opened the room
+function hostsRoom(req, room) {
+  return room.host_session_id === req.sessionID ||
+    (!!req.session.userId && room.host_user_id === req.session.userId);
+}
+
+// In rooms that feed global ratings, a participant who can still vote this round also
+// gets a battle token for it — their pick redeems it like /api/vote does
+function roomState(req, room) {
+  var state = getRoomState(db, room, req.sessionID);
+  state.isHost = hostsRoom(req, room);
+  if (state.feedsGlobal && state.isParticipant && state.round && !state.round.revealed && !state.round.myVote) {
+    var songIds = state.round.songs.map(function(song) { return song.id; });
+    state.round.battleId = servedBattleToken(db, SESSION_SECRET, req.sessionID, songIds, 'room').battleId;
+  }
+  return state;
+}
+
+// Devices in the room re-fetch their state when they hear this
+function announceRoom(room, reason) {
+  liveFeed.publish('room', { reason: reason }, 'room:' + room.code);
+}
+
+// Room for :code with an expired round revealed, or null after sending a 404
+function loadRoom(req, res) {
+  var room = findRoom(db, req.params.code);
+  if (!room) {
+    res.status(404).json({ error: 'Room not found' });
+    return null;
+  }
+  if (room.status === 'open' && settleRound(db, room)) {
+    announceRoom(room, 'reveal');
+  }
+  return room;
+}
+
+// Host-only room actions: null after sending an error
+function loadHostedRoom(req, res) {
+  var room = loadRoom(req, res);
+  if (!room) return null;
+  if (!hostsRoom(req, room)) {
+    res.status(403).json({ error: 'Only the host can do that' });
+    return null;
+  }
+  if (room.status !== 'open') {
+    res.status(409).json({ error: 'Room is closed' });
+    return null;
+  }
+  return room;
+}
+
+// Body: { name?, genre?, feedsGlobal?, voteSeconds? (5-120, default 20), displayName? }
+app.post('/api/rooms', (req, res) => {
+  var created = createRoom(db, {
+    sessionId: req.sessionID,
+    userId: req.session.userId || null,
+    name: req.body.name,
+    genre: req.body.genre,
+    feedsGlobal: req.body.feedsGlobal === true,
+    voteSeconds: req.body.voteSeconds,
+    displayName: req.body.displayName || req.session.username
+  });
+  if (created.error) {
+    return res.status(400).json({ error: created.error });
+  }
+  res.status(201).json(roomState(req, created.room));
+});
+
+// Anyone with the code can watch; joining lets you vote
+app.get('/api/rooms/:code', (req, res) => {
+  var room = loadRoom(req, res);
+  if (!room) return;
+  res.json(roomState(req, room));
+});
+
+// Body: { displayName? } — joining again just renames you
+app.post('/api/rooms/:code/join', (req, res) => {
+  var room = loadRoom(req, res);
+  if (!room) return;
+  if (room.status !== 'open') {
+    return res.status(409).json({ error: 'Room is closed' });
+  }
+  joinRoom(db, room, req.sessionID, req.session.userId || null, req.body.displayName || req.session.username);
+  announceRoom(room, 'join');
+  res.json(roomState(req, room));
+});
+
+// Event stream for one room: a 'room' event whenever its state changes
+app.get('/api/rooms/:code/live', (req, res) => {
+  var room = findRoom(db, req.params.code);
+  if (!room) {
+    return res.status(404).json({ error: 'Room not found' });
+  }
+  liveFeed.subscribe(req, res, [], 'room:' + room.code);
+});
+
+// Host: deal the next matchup to every device and start the timer
+app.post('/api/rooms/:code/next', (req, res) => {
+  var room = loadHostedRoom(req, res);
+  if (!room) return;
+
+  // Skip songs from the last few rounds and pairs this room has already seen
+  var dealt = dealtSoFar(db, room.id);
+  var recentSongIds = [];
+  dealt.slice(0, 5).forEach(function(round) {
+    recentSongIds.push(round.song_a_id, round.song_b_id);
+  });
+  var seen = new Set(dealt.map(function(round) { return pairKey(round.song_a_id, round.song_b_id); }));
+
+  // Nobody has personal ratings under a room key, so this is the global view
+  var key = 'room:' + room.code;
+  var view = ratingCache.view(key, room.genre ? [room.genre] : []);
+  if (view.songs.length < 2) {
+    return res.status(400).json({ error: 'Not enough songs' + (room.genre ? ' in ' + room.genre : '') });
+  }
+  var pair = pickPair(getStrategy(key), {
+    songs: view.songs,
+    ranked: view.ranked,
+    ratingOf: view.ratingOf,
+    inRange: view.inRange,
+    recentSongIds: recentSongIds,
+    judged: function(a, b) { return seen.has(pairKey(a, b)); }
+  });
+
+  var opened = openRound(db, room, pair[0].id, pair[1].id);
+  if (!opened.ok) {
+    return res.status(opened.status).json({ error: opened.error });
+  }
+  announceRoom(room, 'round');
+  res.json(roomState(req, room));
+});
+
+// Body: { songId, battleId? } — one pick per participant per round, before the timer ends.
+// In rooms that feed global ratings the pick is also a normal 'win' vote tagged with the
+// room, and needs the round's battleId from the room state.
+app.post('/api/rooms/:code/vote', (req, res) => {
+  var room = loadRoom(req, res);
+  if (!room) return;
+  if (!req.body.songId) {
+    return res.status(400).json({ error: 'songId required' });
+  }
+
+  var userId = req.session.userId || null;
+  var ranksBefore = null;
+  if (room.feeds_global) {
+    var limited = checkRateLimit(db, req.sessionID, userId);
+    if (limited) {
+      res.set('Retry-After', String(limited.retryAfter));
+      return res.status(429).json({ error: limited.error });
     }
+    var round = currentRound(db, room.id);
+    if (round) ranksBefore = liveRanks([round.song_a_id, round.song_b_id]);
   }
 
-  // Return updated winner info
-  var updatedWinner = db.prepare('SELECT * FROM songs WHERE id = ?').get(winnerId);
-  res.json({
-    success: true,
-    message: 'Vote recorded for ' + updatedWinner.title + '!',
-    newVoteCount: updatedWinner.votes,
-    elo: updatedWinner.global_elo,
-    eloChange: updatedWinner.global_elo - updatedWinner.prev_elo
+  var findSong = db.prepare('SELECT * FROM songs WHERE id = ?');
+  var cast = redeemOrUndo(function() {
+    var result = castRoomVote(db, room, req.sessionID, userId, req.body.songId);
+    if (!result.ok || !room.feeds_global) return result;
+
+    var check = redeemBattleToken(db, SESSION_SECRET, req.body.battleId, req.sessionID,
+      [result.round.song_a_id, result.round.song_b_id]);
+    if (!check.ok) return check;
+
+    var voteId = recordVote({
+      outcome: 'win',
+      first: findSong.get(Number(req.body.songId)),
+      second: findSong.get(result.loserId),
+      userId: userId,
+      sessionId: req.sessionID,
+      owner: ownerOf(req),
+      ip: req.ip,
+      battleId: check.token.id,
+      roomId: room.id
+    });
+    db.prepare('UPDATE room_votes SET vote_id = ? WHERE round_id = ? AND session_id = ?')
+      .run(voteId, result.round.id, req.sessionID);
+    return result;
   });
+
+  if (!cast.ok) {
+    return res.status(cast.status).json({ error: cast.error });
+  }
+  if (room.feeds_global) {
+    detectAbuse(db, req.sessionID, userId, req.ip);
+    announceVote(findSong.get(Number(req.body.songId)), findSong.get(cast.loserId), 'win', ranksBefore);
+  }
+
+  // The last participant to vote reveals the round for everyone
+  announceRoom(room, settleRound(db, room) ? 'reveal' : 'vote');
+  res.json(roomState(req, room));
+});
+
+// Host: end voting now and show the result
+app.post('/api/rooms/:code/reveal', (req, res) => {
+  var room = loadHostedRoom(req, res);
+  if (!room) return;
+
+  var round = currentRound(db, room.id);
+  if (!round || round.revealed_at) {
+    return res.status(409).json({ error: 'No round is waiting to be revealed' });
+  }
+  revealRound(db, round);
+  announceRoom(room, 'reveal');
+  res.json(roomState(req, room));
+});
+
+// Host: end the party (an open round is revealed first)
+app.post('/api/rooms/:code/close', (req, res) => {
+  var room = loadHostedRoom(req, res);
+  if (!room) return;
+
+  closeRoom(db, room);
+  announceRoom(room, 'closed');
+  res.json(roomState(req, room));
 });
 
 // ============================================
 // STATS ROUTES
 // ============================================
 
+// Count votes per outcome -> { win, tie, neither }
+function countOutcomes(rows) {
+  var counts = { win: 0, tie: 0, neither: 0 };
+  rows.forEach(function(row) {
+    counts[row.outcome] = row.count;
+  });
+  return counts;
+}
+
 // Global stats
 app.get('/api/stats', (req, res) => {
-  const totalVotes = db.prepare('SELECT COUNT(*) as count FROM votes').get();
-  const topSongs = db.prepare('SELECT title, artist, global_elo FROM songs ORDER BY global_elo DESC LIMIT 5').all();
-  res.json({ totalBattles: totalVotes.count, topSongs });
+  const totalVotes = db.prepare('SELECT COUNT(*) as count FROM votes WHERE invalidated_at IS NULL').get();
+  const outcomes = db.prepare('SELECT outcome, COUNT(*) as count FROM votes WHERE invalidated_at IS NULL GROUP BY outcome').all();
+  const topSongs = db.prepare('SELECT title, artist, global_elo FROM songs WHERE active = 1 ORDER BY global_elo DESC LIMIT 5').all();
+  res.json({ totalBattles: totalVotes.count, outcomes: countOutcomes(outcomes), topSongs });
 });
 
 // User stats (for logged in users)
@@ -565,152 +1393,449 @@ app.get('/api/stats/me', (req, res) => {
 
   const userId = req.session.userId;
   const userVotes = db.prepare('SELECT COUNT(*) as count FROM votes WHERE user_id = ?').get(userId);
+  const outcomes = db.prepare('SELECT outcome, COUNT(*) as count FROM votes WHERE user_id = ? GROUP BY outcome').all(userId);
   const topArtists = db.prepare(`
     SELECT artist, score FROM user_preferences
     WHERE user_id = ? AND score > 0
     ORDER BY score DESC LIMIT 5
   `).all(userId);
 
+  // For 'win' title/artist is the winner; for tie/neither it's the first song shown
   const recentVotes = db.prepare(`
-    SELECT s.title, s.artist, v.voted_at
+    SELECT s.title, s.artist, o.title as other_title, o.artist as other_artist, v.outcome, v.voted_at
     FROM votes v
     JOIN songs s ON v.winner_id = s.id
+    JOIN songs o ON v.loser_id = o.id
     WHERE v.user_id = ?
     ORDER BY v.voted_at DESC LIMIT 10
   `).all(userId);
 
   res.json({
     totalVotes: userVotes.count,
+    outcomes: countOutcomes(outcomes),
     topArtists,
     recentVotes
   });
 });
 
 // ============================================
-// LEADERBOARD (sorted by Elo)
+// PERSONAL RANKINGS (your own Elo chart vs the global one)
+// ============================================
+
+// Songs this session (or logged-in account) has battled, ordered by personal Elo.
+// divergence = personal Elo - global Elo. rank_divergence compares your rank with the
+// global order of the same songs: > 0 means you rank it higher than everyone else does.
+app.get('/api/me/rankings', (req, res) => {
+  var songs = db.prepare(`
+    WITH global AS (
+      SELECT id, ROW_NUMBER() OVER (ORDER BY global_elo DESC, title ASC) as global_rank
+      FROM songs
+      WHERE active = 1
+    )
+    SELECT
+      s.id, s.title, s.artist, s.genre, s.youtube_id,
+      pr.elo as personal_elo, pr.battles, pr.wins, pr.draws,
+      s.global_elo, g.global_rank,
+      (pr.elo - s.global_elo) as divergence,
+      ROW_NUMBER() OVER (ORDER BY pr.elo DESC, s.title ASC) as personal_rank,
+      ROW_NUMBER() OVER (ORDER BY s.global_elo DESC, s.title ASC) as global_rank_among_yours
+    FROM personal_ratings pr
+    JOIN songs s ON s.id = pr.song_id
+    JOIN global g ON g.id = s.id
+    WHERE pr.session_id = ? AND pr.battles > 0
+    ORDER BY pr.elo DESC, s.title ASC
+  `).all(ownerOf(req));
+
+  songs.forEach(function(song) {
+    song.rank_divergence = song.global_rank_among_yours - song.personal_rank;
+    delete song.global_rank_among_yours;
+  });
+
+  var voter = req.session.userId ? 'user_id' : 'session_id';
+  var totalBattles = db.prepare(`
+    SELECT COUNT(*) as count FROM votes
+    WHERE ${voter} = ? AND outcome != 'neither' AND invalidated_at IS NULL
+  `).get(req.session.userId || req.sessionID).count;
+
+  res.json({ totalBattles: totalBattles, songs: songs });
+});
+
+// ============================================
+// LEADERBOARD (sorted by the configured rating engine)
 // ============================================
 
+// ?engine=elo|glicko2 overrides RATING_ENGINE for side-by-side comparison
+// ?genre=rock or ?genre=rock,pop narrows the board: `rank` is then the position
+// within the chosen genres, `overall_rank` the position across every genre and
+// `genre_rank` the position within the song's own genre.
+// ?window=day|week|month ranks only that window's votes (see leaderboard-windows.js);
+// all (default) is the cumulative board.
 app.get('/api/leaderboard', (req, res) => {
+  var engine = getRatingEngine(req.query.engine);
+  var window = req.query.window || 'all';
+  if (WINDOWS.indexOf(window) === -1) {
+    return res.status(400).json({ error: 'window must be one of ' + WINDOWS.join(', ') });
+  }
+  if (window !== 'all') {
+    var board = windowLeaderboard(db, window, Object.assign({
+      engine: engine,
+      genres: parseGenreList(req.query.genre)
+    }, getRatingOptions()));
+    return res.json(board.songs);
+  }
+
+  var orderColumn = engine === 'glicko2' ? 'glicko_rating' : 'global_elo';
+  var filter = genreFilter(parseGenreList(req.query.genre), 'genre');
+
   const songs = db.prepare(`
-    SELECT
-      title, artist, genre, votes, global_elo, prev_elo,
-      total_battles, total_wins,
-      (global_elo - prev_elo) as elo_delta,
-      ROW_NUMBER() OVER (ORDER BY global_elo DESC, title ASC) as rank
-    FROM songs
-    ORDER BY global_elo DESC, title ASC
-  `).all();
+    WITH ranked AS (
+      SELECT
+        id, title, artist, genre, votes, global_elo, prev_elo,
+        glicko_rating, glicko_rd, glicko_vol, glicko_prev,
+        total_battles, total_wins, total_draws,
+        (global_elo - prev_elo) as elo_delta,
+        ROW_NUMBER() OVER (ORDER BY ${orderColumn} DESC, title ASC) as overall_rank,
+        ROW_NUMBER() OVER (PARTITION BY genre ORDER BY ${orderColumn} DESC, title ASC) as genre_rank
+      FROM songs
+      WHERE active = 1
+    )
+    SELECT *, ROW_NUMBER() OVER (ORDER BY ${orderColumn} DESC, title ASC) as rank
+    FROM ranked
+    ${filter.sql ? 'WHERE ' + filter.sql : ''}
+    ORDER BY ${orderColumn} DESC, title ASC
+  `).all(...filter.params);
+
+  songs.forEach(function(song) {
+    var rating = summarizeRating(songRatingState(song), engine);
+    song.engine = engine;
+    song.rating = rating.rating;
+    song.deviation = rating.deviation;
+    song.rating_delta = songRatingDelta(song, engine);
+  });
+
   res.json(songs);
 });
 
+// Biggest rank changes versus the previous window. ?window=day|week (default)|month, ?limit=5
+app.get('/api/leaderboard/movers', (req, res) => {
+  var window = req.query.window || 'week';
+  if (window === 'all' || WINDOWS.indexOf(window) === -1) {
+    return res.status(400).json({ error: 'window must be day, week or month' });
+  }
+  var limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 5, 1), 50);
+
+  var board = windowLeaderboard(db, window, Object.assign({
+    engine: getRatingEngine(req.query.engine),
+    genres: parseGenreList(req.query.genre)
+  }, getRatingOptions()));
+  res.json(movers(board, limit));
+});
+
 // ============================================
 // PLAYLIST
 // ============================================
 
-// Get current session's playlist
+// Playlists belong to the owner (see accounts.js). Routes under /api/playlist/*
+// act on ?playlistId= (or playlistId in the body) — the owner's default
+// playlist when it's left out, which is what the battle page's Save button uses.
+
+// The playlist a request targets, or null after sending a 404
+function targetPlaylist(req, res) {
+  var playlistId = req.query.playlistId || (req.body && req.body.playlistId);
+  if (!playlistId) return defaultPlaylist(db, ownerOf(req));
+
+  var playlist = findPlaylist(db, ownerOf(req), playlistId);
+  if (!playlist) {
+    res.status(404).json({ error: 'Playlist not found' });
+    return null;
+  }
+  return playlist;
+}
+
+// The owner's playlists, in order, with song counts
+app.get('/api/playlists', (req, res) => {
+  res.json(listPlaylists(db, ownerOf(req)));
+});
+
+// Body: { name }
+app.post('/api/playlists', (req, res) => {
+  var created = createPlaylist(db, ownerOf(req), req.body.name);
+  if (created.error) {
+    return res.status(400).json({ error: created.error });
+  }
+  res.status(201).json(created.playlist);
+});
+
+// Rename. Body: { name }
+app.patch('/api/playlists/:id', (req, res) => {
+  var playlist = findPlaylist(db, ownerOf(req), req.params.id);
+  if (!playlist) {
+    return res.status(404).json({ error: 'Playlist not found' });
+  }
+  var renamed = renamePlaylist(db, playlist, req.body.name);
+  if (renamed.error) {
+    return res.status(400).json({ error: renamed.error });
+  }
+  res.json(renamed.playlist);
+});
+
+// Delete a playlist and its songs (its YouTube copy, if any, stays on YouTube)
+app.delete('/api/playlists/:id', (req, res) => {
+  var playlist = findPlaylist(db, ownerOf(req), req.params.id);
+  if (!playlist) {
+    return res.status(404).json({ error: 'Playlist not found' });
+  }
+  deletePlaylist(db, playlist);
+  res.json({ success: true, message: 'Deleted ' + playlist.name });
+});
+
+// Songs in a playlist, in the owner's order
 app.get('/api/playlist', (req, res) => {
-  var sessionId = req.sessionID;
-  var songs = db.prepare(`
-    SELECT s.id, s.title, s.artist, s.youtube_id, s.genre, s.global_elo, p.added_at
-    FROM user_playlists p
-    JOIN songs s ON p.song_id = s.id
-    WHERE p.session_id = ?
-    ORDER BY p.added_at DESC
-  `).all(sessionId);
-  res.json(songs);
+  var playlist = targetPlaylist(req, res);
+  if (!playlist) return;
+  res.json(playlistSongs(db, playlist.id));
 });
 
 // Check if a song is already in the playlist
 app.get('/api/playlist/check/:songId', (req, res) => {
-  var sessionId = req.sessionID;
-  var songId = Number(req.params.songId);
-  var exists = db.prepare('SELECT id FROM user_playlists WHERE session_id = ? AND song_id = ?')
-    .get(sessionId, songId);
-  res.json({ saved: !!exists });
+  var playlist = targetPlaylist(req, res);
+  if (!playlist) return;
+  res.json({ saved: hasSong(db, playlist.id, req.params.songId), playlistId: playlist.id });
 });
 
-// Add song to playlist (+ YouTube sync if connected)
-app.post('/api/playlist/add', async (req, res) => {
-  var sessionId = req.sessionID;
+// Add song to the end of a playlist (queued for YouTube sync if connected)
+app.post('/api/playlist/add', (req, res) => {
+  var owner = ownerOf(req);
   var songId = req.body.songId;
 
   if (!songId) {
     return res.status(400).json({ error: 'songId required' });
   }
+  var song = db.prepare('SELECT * FROM songs WHERE id = ?').get(songId);
+  if (!song) {
+    return res.status(404).json({ error: 'Song not found' });
+  }
+  var playlist = targetPlaylist(req, res);
+  if (!playlist) return;
 
-  // Check if already saved locally
-  var exists = db.prepare('SELECT id FROM user_playlists WHERE session_id = ? AND song_id = ?')
-    .get(sessionId, songId);
-  if (exists) {
-    return res.json({ success: true, message: 'Already in playlist', youtube: false });
+  if (!addSong(db, playlist.id, song.id)) {
+    return res.json({ success: true, message: 'Already in ' + playlist.name, youtube: false });
   }
 
-  // Save locally first (always)
-  db.prepare('INSERT INTO user_playlists (session_id, song_id) VALUES (?, ?)')
-    .run(sessionId, songId);
+  // YouTube happens in the background; the song shows as pending until it's there
+  var queued = youtubeConnected(owner) && youtubeSync.enqueue(playlist.id, [song.id]) > 0;
+  var msg = queued
+    ? song.title + ' added to ' + playlist.name + ' (syncing to YouTube)'
+    : song.title + ' added to ' + playlist.name;
+  res.json({ success: true, message: msg, youtube: queued, syncStatus: queued ? 'pending' : null, playlistId: playlist.id });
+});
 
-  var song = db.prepare('SELECT * FROM songs WHERE id = ?').get(songId);
-  var youtubeAdded = false;
+// Remove song from a playlist. If it had been synced (or queued), its removal from
+// the YouTube playlist is queued too.
+app.delete('/api/playlist/remove/:songId', (req, res) => {
+  var playlist = targetPlaylist(req, res);
+  if (!playlist) return;
 
-  // Attempt YouTube sync if connected
+  removeSong(db, playlist.id, req.params.songId);
+  var queued = youtubeSync.remove(playlist, req.params.songId);
+  res.json({ success: true, message: 'Removed from ' + playlist.name, youtube: queued });
+});
+
+// Reorder a playlist. Body: { playlistId, songIds: [every song, in the new order] }
+app.put('/api/playlist/order', (req, res) => {
+  var playlist = targetPlaylist(req, res);
+  if (!playlist) return;
+
+  var error = reorderSongs(db, playlist.id, req.body.songIds);
+  if (error) {
+    return res.status(400).json({ error: error });
+  }
+  res.json(playlistSongs(db, playlist.id));
+});
+
+// Download a playlist as ?format=m3u|xspf|csv|json (default m3u), pointing at YouTube watch URLs
+app.get('/api/playlist/export', (req, res) => {
+  var format = req.query.format || 'm3u';
+  if (!PLAYLIST_FORMATS[format]) {
+    return res.status(400).json({ error: 'format must be one of: ' + Object.keys(PLAYLIST_FORMATS).join(', ') });
+  }
+  var playlist = targetPlaylist(req, res);
+  if (!playlist) return;
+
+  var filename = playlist.name.replace(/[^\w\- ]+/g, '').trim() || 'playlist';
+  res.type(PLAYLIST_FORMATS[format].type);
+  res.attachment(filename + '.' + PLAYLIST_FORMATS[format].extension);
+  res.send(exportPlaylist(playlist, playlistSongs(db, playlist.id), format));
+});
+
+// Import a playlist file into ?playlistId= (default playlist). Dry run by default —
+// pass ?dryRun=false to add the matches. m3u / xspf / csv are sent as a text body
+// with ?format=; JSON as an array or { songs: [...] }. Entries are matched to
+// catalog songs by YouTube ID, else by title + artist; the rest come back in `unmatched`.
+// Added songs are queued for YouTube sync when connected.
+app.post('/api/playlist/import', express.text({ type: ['text/*', 'audio/*', 'application/xspf+xml'], limit: '1mb' }), (req, res) => {
+  var format = req.query.format || (typeof req.body === 'string' ? 'm3u' : 'json');
+  if (!PLAYLIST_FORMATS[format]) {
+    return res.status(400).json({ error: 'format must be one of: ' + Object.keys(PLAYLIST_FORMATS).join(', ') });
+  }
+  if (format !== 'json' && typeof req.body !== 'string') {
+    return res.status(400).json({ error: 'Send the ' + format + ' file as a text body' });
+  }
+  var playlist = targetPlaylist(req, res);
+  if (!playlist) return;
+
+  var entries;
   try {
-    var ytAuth = await getYouTubeAuth(sessionId);
-    if (ytAuth) {
-      await addToYouTubePlaylist(ytAuth, song.youtube_id, sessionId);
-      youtubeAdded = true;
-    }
+    entries = parsePlaylist(req.body, format);
   } catch (e) {
-    console.error('YouTube sync failed:', e.message);
+    return res.status(400).json({ error: e.message });
+  }
+  if (entries.length === 0) {
+    return res.status(400).json({ error: 'No playlist entries found' });
+  }
+
+  var result = matchEntries(db, entries);
+  var dryRun = req.query.dryRun !== 'false';
+  var added = 0;
+  if (!dryRun) {
+    db.transaction(function() {
+      result.matched.forEach(function(match) {
+        match.added = addSong(db, playlist.id, match.songId);
+        if (match.added) added++;
+      });
+    })();
+    if (youtubeConnected(ownerOf(req))) {
+      youtubeSync.enqueue(playlist.id, result.matched.filter(function(m) { return m.added; }).map(function(m) { return m.songId; }));
+    }
   }
 
-  var msg = youtubeAdded
-    ? song.title + ' added to playlist & YouTube'
-    : song.title + ' added to playlist';
-  res.json({ success: true, message: msg, youtube: youtubeAdded });
+  res.json({
+    dryRun: dryRun,
+    playlistId: playlist.id,
+    summary: {
+      entries: entries.length,
+      matched: result.matched.length,
+      unmatched: result.unmatched.length,
+      added: added
+    },
+    matched: result.matched,
+    unmatched: result.unmatched
+  });
 });
 
-// Remove song from playlist
-app.delete('/api/playlist/remove/:songId', (req, res) => {
-  var sessionId = req.sessionID;
-  var songId = Number(req.params.songId);
+// Queue a whole playlist for YouTube sync (its YouTube playlist is created on first sync).
+// Songs already synced are skipped unless { resync: true }; failed ones are retried.
+app.post('/api/playlist/sync-all', (req, res) => {
+  var playlist = targetPlaylist(req, res);
+  if (!playlist) return;
+  if (!youtubeConnected(ownerOf(req))) {
+    return res.status(400).json({ error: 'YouTube not connected' });
+  }
 
-  db.prepare('DELETE FROM user_playlists WHERE session_id = ? AND song_id = ?')
-    .run(sessionId, songId);
-  res.json({ success: true, message: 'Removed from playlist' });
+  var queued = youtubeSync.enqueue(playlist.id, null, !!req.body.resync);
+  var total = db.prepare('SELECT COUNT(*) as count FROM user_playlists WHERE playlist_id = ?').get(playlist.id).count;
+  res.json({ success: true, queued: queued, total: total, playlistId: playlist.id });
 });
 
-// Sync all local playlist to YouTube
-app.post('/api/playlist/sync-all', async (req, res) => {
-  var sessionId = req.sessionID;
+// YouTube sync status per song: { songId: { status: pending|synced|failed, attempts, error, syncedAt } }
+app.get('/api/playlist/sync-status', (req, res) => {
+  var playlist = targetPlaylist(req, res);
+  if (!playlist) return;
+  res.json(youtubeSync.statuses(playlist.id));
+});
+
+// Two-way sync with the playlist's YouTube copy: pull videos added on YouTube that match
+// catalog songs, drop songs removed there, and queue what YouTube is missing.
+// Dry run by default — pass ?dryRun=false to apply. Returns the diff report (see youtube-sync.js).
+app.post('/api/playlist/reconcile', async (req, res) => {
+  var playlist = targetPlaylist(req, res);
+  if (!playlist) return;
+
+  var auth = await getYouTubeAuth(ownerOf(req));
+  if (!auth) {
+    return res.status(400).json({ error: 'YouTube not connected' });
+  }
+  if (!playlist.youtube_playlist_id) {
+    return res.status(400).json({ error: 'This playlist has no YouTube copy yet — sync it first' });
+  }
+  if (youtubeSync.quotaLeft() <= 0) {
+    return res.status(429).json({ error: "Today's YouTube quota is used up, try again tomorrow" });
+  }
 
   try {
-    var ytAuth = await getYouTubeAuth(sessionId);
-    if (!ytAuth) {
-      return res.status(400).json({ error: 'YouTube not connected' });
+    res.json(await youtubeSync.reconcile(auth, playlist, req.query.dryRun !== 'false'));
+  } catch (e) {
+    var error = YouTubeSync.describeError(e);
+    if (error.reason === 'quotaExceeded' || error.reason === 'dailyLimitExceeded') {
+      youtubeSync.exhaustQuota();
+      return res.status(429).json({ error: "Today's YouTube quota is used up, try again tomorrow" });
     }
+    if (error.reason === 'playlistNotFound') {
+      db.prepare('UPDATE playlists SET youtube_playlist_id = NULL WHERE id = ?').run(playlist.id);
+      return res.status(404).json({ error: 'The YouTube playlist is gone — sync again to recreate it' });
+    }
+    console.error('YouTube reconcile error:', e.message);
+    res.status(502).json({ error: 'YouTube request failed' });
+  }
+});
+
+// ============================================
+// SHARING (public read-only links, see shares.js)
+// ============================================
+
+// A share as its owner sees it, plus the public link
+function shareJson(req, share) {
+  var json = describeShare(db, share);
+  json.url = req.protocol + '://' + req.get('host') + '/p/' + share.slug;
+  return json;
+}
 
-    var songs = db.prepare(`
-      SELECT s.youtube_id FROM user_playlists p
-      JOIN songs s ON p.song_id = s.id
-      WHERE p.session_id = ?
-    `).all(sessionId);
-
-    var added = 0;
-    var failed = 0;
-    for (var i = 0; i < songs.length; i++) {
-      try {
-        await addToYouTubePlaylist(ytAuth, songs[i].youtube_id, sessionId);
-        added++;
-      } catch (e) {
-        failed++;
-      }
+// The owner's share links, published or not
+app.get('/api/shares', (req, res) => {
+  res.json(listShares(db, ownerOf(req)).map(function(share) { return shareJson(req, share); }));
+});
+
+// Publish a list. Body: { kind: 'playlist', playlistId } or { kind: 'top10' }.
+// Publishing a list again (even after unpublishing) gives back the same link.
+app.post('/api/shares', (req, res) => {
+  var owner = ownerOf(req);
+  var kind = req.body.kind;
+  if (SHARE_KINDS.indexOf(kind) === -1) {
+    return res.status(400).json({ error: 'kind must be one of: ' + SHARE_KINDS.join(', ') });
+  }
+  if (kind === 'playlist') {
+    if (!req.body.playlistId) {
+      return res.status(400).json({ error: 'playlistId required' });
+    }
+    if (!findPlaylist(db, owner, req.body.playlistId)) {
+      return res.status(404).json({ error: 'Playlist not found' });
     }
+  }
 
-    res.json({ success: true, added: added, failed: failed, total: songs.length });
-  } catch (e) {
-    console.error('Sync all failed:', e.message);
-    res.status(500).json({ error: 'Sync failed' });
+  res.json(shareJson(req, publishShare(db, owner, kind, req.body.playlistId)));
+});
+
+// Unpublish: the link stops working until the list is published again
+app.delete('/api/shares/:slug', (req, res) => {
+  var share = db.prepare('SELECT * FROM shares WHERE slug = ? AND session_id = ?').get(req.params.slug, ownerOf(req));
+  if (!share) {
+    return res.status(404).json({ error: 'Share not found' });
+  }
+  res.json(shareJson(req, unpublishShare(db, share)));
+});
+
+// Public JSON for a shared list: songs with global Elo and rank
+app.get('/api/p/:slug', (req, res) => {
+  var share = findPublished(db, req.params.slug);
+  if (!share) {
+    return res.status(404).json({ error: 'This link is not shared (anymore)' });
   }
+  res.json(sharedView(db, share));
+});
+
+// Public page for a shared list (share.html reads the slug from the path)
+app.get('/p/:slug', (req, res) => {
+  res.sendFile(path.join(__dirname, 'share.html'));
 });
 
 // ============================================
@@ -726,9 +1851,9 @@ function createOAuth2Client() {
   );
 }
 
-// Get authenticated YouTube client for a session (or null)
-async function getYouTubeAuth(sessionId) {
-  var tokens = db.prepare('SELECT * FROM youtube_tokens WHERE session_id = ?').get(sessionId);
+// Get authenticated YouTube client for an owner key (or null)
+async function getYouTubeAuth(owner) {
+  var tokens = db.prepare('SELECT * FROM youtube_tokens WHERE session_id = ?').get(owner);
   if (!tokens) return null;
 
   var oauth2Client = createOAuth2Client();
@@ -744,7 +1869,7 @@ async function getYouTubeAuth(sessionId) {
       var refreshed = await oauth2Client.refreshAccessToken();
       var creds = refreshed.credentials;
       db.prepare('UPDATE youtube_tokens SET access_token = ?, token_expiry = ? WHERE session_id = ?')
-        .run(creds.access_token, new Date(creds.expiry_date).toISOString(), sessionId);
+        .run(creds.access_token, new Date(creds.expiry_date).toISOString(), owner);
       oauth2Client.setCredentials(creds);
     } catch (e) {
       console.error('Token refresh failed:', e.message);
@@ -755,78 +1880,16 @@ async function getYouTubeAuth(sessionId) {
   return oauth2Client;
 }
 
-// Add a video to the user's YouTube playlist
-async function addToYouTubePlaylist(oauth2Client, videoId, sessionId) {
-  var tokens = db.prepare('SELECT playlist_id FROM youtube_tokens WHERE session_id = ?').get(sessionId);
-  if (!tokens || !tokens.playlist_id) return;
-
-  var youtube = google.youtube({ version: 'v3', auth: oauth2Client });
-
-  // Check for duplicates first (1 quota unit)
-  try {
-    var existing = await youtube.playlistItems.list({
-      part: 'snippet',
-      playlistId: tokens.playlist_id,
-      videoId: videoId,
-      maxResults: 1
-    });
-    if (existing.data.items && existing.data.items.length > 0) {
-      return; // Already in playlist
-    }
-  } catch (e) {
-    // Continue anyway — try to add
-  }
-
-  // Add to playlist (50 quota units)
-  await youtube.playlistItems.insert({
-    part: 'snippet',
-    requestBody: {
-      snippet: {
-        playlistId: tokens.playlist_id,
-        resourceId: {
-          kind: 'youtube#video',
-          videoId: videoId
-        }
-      }
-    }
-  });
+// Whether an owner has connected YouTube (their playlist changes get queued for sync)
+function youtubeConnected(owner) {
+  return !!db.prepare('SELECT 1 FROM youtube_tokens WHERE session_id = ?').get(owner);
 }
 
-// Create the "Music Battle Favorites" playlist
-async function createMusicBattlePlaylist(oauth2Client) {
-  var youtube = google.youtube({ version: 'v3', auth: oauth2Client });
-
-  // Check if it already exists
-  try {
-    var playlists = await youtube.playlists.list({
-      part: 'snippet',
-      mine: true,
-      maxResults: 50
-    });
-    var existing = playlists.data.items.find(function(p) {
-      return p.snippet.title === 'Music Battle Favorites';
-    });
-    if (existing) return existing.id;
-  } catch (e) {
-    console.error('Failed to check playlists:', e.message);
-  }
-
-  // Create new playlist (50 quota units)
-  var result = await youtube.playlists.insert({
-    part: 'snippet,status',
-    requestBody: {
-      snippet: {
-        title: 'Music Battle Favorites',
-        description: 'Songs I voted for in Music Battle'
-      },
-      status: {
-        privacyStatus: 'unlisted'
-      }
-    }
-  });
-
-  return result.data.id;
-}
+// Background sync queue + worker (see youtube-sync.js)
+var youtubeSync = new YouTubeSync(db, {
+  youtube: function(auth) { return google.youtube({ version: 'v3', auth: auth }); },
+  getAuth: getYouTubeAuth
+});
 
 // --- OAuth Routes ---
 
@@ -855,8 +1918,8 @@ app.get('/auth/youtube/callback', async (req, res) => {
 
     oauth2Client.setCredentials(tokens);
 
-    // Create or find the playlist
-    var playlistId = await createMusicBattlePlaylist(oauth2Client);
+    // Create or find the default playlist's YouTube copy
+    var playlistId = await youtubeSync.ensurePlaylist(oauth2Client, defaultPlaylist(db, ownerOf(req)));
 
     // Store tokens
     db.prepare(`
@@ -866,7 +1929,7 @@ app.get('/auth/youtube/callback', async (req, res) => {
         access_token = ?, refresh_token = ?, token_expiry = ?, playlist_id = ?,
         connected_at = CURRENT_TIMESTAMP
     `).run(
-      req.sessionID,
+      ownerOf(req),
       tokens.access_token, tokens.refresh_token || '', new Date(tokens.expiry_date).toISOString(), playlistId,
       tokens.access_token, tokens.refresh_token || '', new Date(tokens.expiry_date).toISOString(), playlistId
     );
@@ -878,20 +1941,30 @@ app.get('/auth/youtube/callback', async (req, res) => {
   }
 });
 
-// Check YouTube connection status
+// Check YouTube connection status, with the sync queue (jobs per status) and today's quota use
 app.get('/api/youtube/status', (req, res) => {
+  var owner = ownerOf(req);
   var tokens = db.prepare('SELECT playlist_id, connected_at FROM youtube_tokens WHERE session_id = ?')
-    .get(req.sessionID);
+    .get(owner);
+  var sync = youtubeSync.summary(owner);
   res.json({
     connected: !!tokens,
     playlistId: tokens ? tokens.playlist_id : null,
-    connectedAt: tokens ? tokens.connected_at : null
+    connectedAt: tokens ? tokens.connected_at : null,
+    jobs: sync.jobs,
+    quota: sync.quota
   });
 });
 
-// Disconnect YouTube
+// Disconnect YouTube (playlists forget their YouTube copies and sync status;
+// reconnecting finds the copies by title)
 app.post('/auth/youtube/disconnect', (req, res) => {
-  db.prepare('DELETE FROM youtube_tokens WHERE session_id = ?').run(req.sessionID);
+  var owner = ownerOf(req);
+  db.transaction(function() {
+    db.prepare('DELETE FROM youtube_tokens WHERE session_id = ?').run(owner);
+    db.prepare('DELETE FROM youtube_sync_jobs WHERE playlist_id IN (SELECT id FROM playlists WHERE session_id = ?)').run(owner);
+    db.prepare('UPDATE playlists SET youtube_playlist_id = NULL WHERE session_id = ?').run(owner);
+  })();
   res.json({ success: true });
 });
 
@@ -899,10 +1972,12 @@ app.post('/auth/youtube/disconnect', (req, res) => {
 // START SERVER
 // ============================================
 
+youtubeSync.start();
+
 app.listen(PORT, () => {
   console.log('');
   console.log('Music Battle Server Running!');
   console.log('http://localhost:' + PORT);
-  console.log('Elo system active | Smart matchmaking | YouTube integration');
+  console.log('Rating engine: ' + getRatingEngine() + ' | Matchmaking: ' + (process.env.MATCHMAKING_STRATEGY || 'elo-window') + ' | YouTube integration');
   console.log('');
 });
@@ -0,0 +1,122 @@
+/*
+  SESSION-STORE.JS - express-session store backed by the Music Battle SQLite db
+  Sessions survive restarts and deploys (so session-keyed ratings, playlists and
+  YouTube tokens don't get orphaned) and are shared by every server process
+  using the same database file. Expired rows are swept on a timer.
+*/
+
+var util = require('util');
+var session = require('express-session');
+
+var ONE_DAY_MS = 24 * 60 * 60 * 1000;
+var CLEANUP_INTERVAL_MS = 15 * 60 * 1000;
+
+// options: { cleanupInterval } in ms (0 turns the sweep off)
+function SqliteStore(db, options) {
+    session.Store.call(this);
+    options = options || {};
+    this.db = db;
+
+    this.statements = {
+        get: db.prepare('SELECT sess FROM sessions WHERE sid = ? AND expires > ?'),
+        set: db.prepare(`
+            INSERT INTO sessions (sid, sess, expires) VALUES (?, ?, ?)
+            ON CONFLICT(sid) DO UPDATE SET sess = excluded.sess, expires = excluded.expires
+        `),
+        touch: db.prepare('UPDATE sessions SET expires = ? WHERE sid = ?'),
+        destroy: db.prepare('DELETE FROM sessions WHERE sid = ?'),
+        clear: db.prepare('DELETE FROM sessions'),
+        length: db.prepare('SELECT COUNT(*) as count FROM sessions WHERE expires > ?'),
+        all: db.prepare('SELECT sid, sess FROM sessions WHERE expires > ?'),
+        prune: db.prepare('DELETE FROM sessions WHERE expires <= ?')
+    };
+
+    var interval = options.cleanupInterval === undefined ? CLEANUP_INTERVAL_MS : options.cleanupInterval;
+    if (interval > 0) {
+        this.prune();
+        var self = this;
+        this.cleanupTimer = setInterval(function() { self.prune(); }, interval);
+        this.cleanupTimer.unref(); // don't keep the process alive just to sweep
+    }
+}
+
+util.inherits(SqliteStore, session.Store);
+
+// Cookie expiry, or a day from now for sessions without one
+function expiresAt(sess) {
+    var expires = sess && sess.cookie && sess.cookie.expires;
+    return expires ? new Date(expires).getTime() : Date.now() + ONE_DAY_MS;
+}
+
+// Run a store operation and hand the result (or error) to express-session's callback
+function respond(callback, fn) {
+    var result;
+    try {
+        result = fn();
+    } catch (err) {
+        if (callback) callback(err);
+        return;
+    }
+    if (callback) callback(null, result);
+}
+
+SqliteStore.prototype.get = function(sid, callback) {
+    var statements = this.statements;
+    respond(callback, function() {
+        var row = statements.get.get(sid, Date.now());
+        return row ? JSON.parse(row.sess) : null;
+    });
+};
+
+SqliteStore.prototype.set = function(sid, sess, callback) {
+    var statements = this.statements;
+    respond(callback, function() {
+        statements.set.run(sid, JSON.stringify(sess), expiresAt(sess));
+    });
+};
+
+SqliteStore.prototype.touch = function(sid, sess, callback) {
+    var statements = this.statements;
+    respond(callback, function() {
+        statements.touch.run(expiresAt(sess), sid);
+    });
+};
+
+SqliteStore.prototype.destroy = function(sid, callback) {
+    var statements = this.statements;
+    respond(callback, function() {
+        statements.destroy.run(sid);
+    });
+};
+
+SqliteStore.prototype.clear = function(callback) {
+    var statements = this.statements;
+    respond(callback, function() {
+        statements.clear.run();
+    });
+};
+
+SqliteStore.prototype.length = function(callback) {
+    var statements = this.statements;
+    respond(callback, function() {
+        return statements.length.get(Date.now()).count;
+    });
+};
+
+SqliteStore.prototype.all = function(callback) {
+    var statements = this.statements;
+    respond(callback, function() {
+        var sessions = {};
+        statements.all.all(Date.now()).forEach(function(row) {
+            sessions[row.sid] = JSON.parse(row.sess);
+        });
+        return sessions;
+    });
+};
+
+// Delete expired sessions. Returns how many were removed.
+SqliteStore.prototype.prune = function() {
+    return this.statements.prune.run(Date.now()).changes;
+};
+
+module.exports = SqliteStore;
@@ -0,0 +1,139 @@
+/*
+  SHARES.JS - Public, read-only links to a playlist or a personal top 10
+  Sharing is opt-in. Publishing gives the list a random slug (/p/:slug) that
+  stays the same for good: unpublishing only hides it, and publishing the same
+  list again brings the old link back. A shared view shows the songs with
+  their global Elo, and visitors can battle just those songs
+  (/api/battle?share=slug). Top 10 shares are live — they follow the owner's
+  personal ratings as they change.
+*/
+
+var crypto = require('crypto');
+
+var KINDS = ['playlist', 'top10'];
+var TOP_COUNT = 10;
+
+function generateSlug() {
+    return crypto.randomBytes(6).toString('base64url');
+}
+
+// The owner's share of a list (published or not), or null
+function findShare(db, owner, kind, playlistId) {
+    return db.prepare('SELECT * FROM shares WHERE session_id = ? AND kind = ? AND playlist_id IS ?')
+        .get(owner, kind, kind === 'playlist' ? Number(playlistId) : null) || null;
+}
+
+// A published share by slug, or null
+function findPublished(db, slug) {
+    return db.prepare('SELECT * FROM shares WHERE slug = ? AND published_at IS NOT NULL').get(String(slug)) || null;
+}
+
+// Publish a list, reusing its slug if it was shared before. Returns the share.
+function publish(db, owner, kind, playlistId) {
+    var share = findShare(db, owner, kind, playlistId);
+    if (share) {
+        db.prepare('UPDATE shares SET published_at = COALESCE(published_at, CURRENT_TIMESTAMP) WHERE id = ?').run(share.id);
+        return db.prepare('SELECT * FROM shares WHERE id = ?').get(share.id);
+    }
+
+    var exists = db.prepare('SELECT 1 FROM shares WHERE slug = ?');
+    var slug = generateSlug();
+    while (exists.get(slug)) slug = generateSlug();
+
+    var id = db.prepare(`
+        INSERT INTO shares (slug, session_id, kind, playlist_id, published_at)
+        VALUES (?, ?, ?, ?, CURRENT_TIMESTAMP)
+    `).run(slug, owner, kind, kind === 'playlist' ? Number(playlistId) : null).lastInsertRowid;
+    return db.prepare('SELECT * FROM shares WHERE id = ?').get(id);
+}
+
+// Hide a share; the slug is kept for when it's published again. Returns the share.
+function unpublish(db, share) {
+    db.prepare('UPDATE shares SET published_at = NULL WHERE id = ?').run(share.id);
+    return db.prepare('SELECT * FROM shares WHERE id = ?').get(share.id);
+}
+
+// What the owner sees of a share: { slug, kind, playlistId, title, published, publishedAt }
+function describeShare(db, share) {
+    var playlist = share.kind === 'playlist'
+        ? db.prepare('SELECT name FROM playlists WHERE id = ?').get(share.playlist_id)
+        : null;
+    return {
+        slug: share.slug,
+        kind: share.kind,
+        playlistId: share.playlist_id,
+        title: playlist ? playlist.name : 'Top ' + TOP_COUNT,
+        published: !!share.published_at,
+        publishedAt: share.published_at
+    };
+}
+
+// The owner's shares, published or not
+function listShares(db, owner) {
+    return db.prepare('SELECT * FROM shares WHERE session_id = ? ORDER BY created_at, id').all(owner);
+}
+
+// Songs on a shared list, in list order, with global Elo and leaderboard rank
+function sharedSongs(db, share) {
+    var songs = share.kind === 'top10'
+        ? db.prepare(`
+            SELECT s.id, s.title, s.artist, s.genre, s.youtube_id, s.global_elo, s.active, pr.elo as personal_elo
+            FROM personal_ratings pr
+            JOIN songs s ON s.id = pr.song_id
+            WHERE pr.session_id = ? AND pr.battles > 0 AND s.active = 1
+            ORDER BY pr.elo DESC, s.title ASC
+            LIMIT ?
+        `).all(share.session_id, TOP_COUNT)
+        : db.prepare(`
+            SELECT s.id, s.title, s.artist, s.genre, s.youtube_id, s.global_elo, s.active
+            FROM user_playlists i
+            JOIN songs s ON s.id = i.song_id
+            WHERE i.playlist_id = ?
+            ORDER BY i.position, i.id
+        `).all(share.playlist_id);
+
+    var ranks = {};
+    db.prepare('SELECT id FROM songs WHERE active = 1 ORDER BY global_elo DESC, title ASC').all()
+        .forEach(function(row, idx) { ranks[row.id] = idx + 1; });
+
+    return songs.map(function(song) {
+        song.active = !!song.active;
+        song.global_rank = ranks[song.id] || null;
+        return song;
+    });
+}
+
+// The public JSON for a published share. Owners are named only if they have an account.
+function sharedView(db, share) {
+    var owner = share.session_id.indexOf('user:') === 0
+        ? db.prepare('SELECT username FROM users WHERE id = ?').get(share.session_id.slice(5))
+        : null;
+
+    return {
+        slug: share.slug,
+        kind: share.kind,
+        title: describeShare(db, share).title,
+        by: owner ? owner.username : null,
+        publishedAt: share.published_at,
+        songs: sharedSongs(db, share)
+    };
+}
+
+// Ids of a share's active songs, for battling from it
+function sharedSongIds(db, share) {
+    return sharedSongs(db, share)
+        .filter(function(song) { return song.active; })
+        .map(function(song) { return song.id; });
+}
+
+module.exports = {
+    KINDS,
+    findShare,
+    findPublished,
+    publish,
+    unpublish,
+    describeShare,
+    listShares,
+    sharedView,
+    sharedSongIds
+};
@@ -0,0 +1,132 @@
+/*
+  FAKE-YOUTUBE.JS - In-memory stand-in for the googleapis youtube v3 client
+  Holds YouTube playlists and their items, records every call, and lets a
+  test queue errors for the next calls to a method (see failNext). Hand
+  `fake.client` to YouTubeSync through its youtube(auth) option.
+  List calls page like YouTube's (pageToken / nextPageToken); set pageSize
+  for short pages.
+*/
+
+// An error shaped like the ones googleapis throws: { code, errors: [{ reason }] }
+function apiError(code, reason) {
+    var e = new Error(reason || 'Request failed with status ' + code);
+    e.code = code;
+    if (reason) e.errors = [{ reason: reason }];
+    return e;
+}
+
+function FakeYouTube() {
+    this.playlists = {};    // YouTube playlist id -> { title, items: [{ id, videoId, title, channel }] }
+    this.calls = [];        // 'playlistItems.insert', ... in call order
+    this.failures = {};     // method -> errors to throw on its next calls, in order
+    this.nextId = 1;
+    this.pageSize = null;   // items per list page; null uses the request's maxResults
+
+    var self = this;
+    this.client = {
+        playlists: {
+            list: function(params) {
+                return self.handle('playlists.list', function() {
+                    return {
+                        items: Object.keys(self.playlists).map(function(id) {
+                            return { id: id, snippet: { title: self.playlists[id].title } };
+                        })
+                    };
+                });
+            },
+            insert: function(params) {
+                return self.handle('playlists.insert', function() {
+                    return { id: self.addPlaylist(params.requestBody.snippet.title) };
+                });
+            }
+        },
+        playlistItems: {
+            list: function(params) {
+                return self.handle('playlistItems.list', function() {
+                    var items = self.playlistOf(params.playlistId).items.filter(function(item) {
+                        return !params.videoId || item.videoId === params.videoId;
+                    });
+                    var start = Number(params.pageToken || 0);
+                    var end = start + (self.pageSize || params.maxResults);
+                    return {
+                        items: items.slice(start, end).map(function(item) {
+                            return {
+                                id: item.id,
+                                snippet: { title: item.title, videoOwnerChannelTitle: item.channel, resourceId: { videoId: item.videoId } }
+                            };
+                        }),
+                        nextPageToken: end < items.length ? String(end) : undefined
+                    };
+                });
+            },
+            insert: function(params) {
+                return self.handle('playlistItems.insert', function() {
+                    var snippet = params.requestBody.snippet;
+                    return self.addItem(snippet.playlistId, snippet.resourceId.videoId);
+                });
+            },
+            delete: function(params) {
+                return self.handle('playlistItems.delete', function() {
+                    var owner = Object.keys(self.playlists).find(function(id) {
+                        return self.playlists[id].items.some(function(item) { return item.id === params.id; });
+                    });
+                    if (!owner) throw apiError(404, 'playlistItemNotFound');
+                    self.playlists[owner].items = self.playlists[owner].items.filter(function(item) { return item.id !== params.id; });
+                    return {};
+                });
+            }
+        }
+    };
+}
+
+FakeYouTube.prototype.handle = async function(method, respond) {
+    this.calls.push(method);
+    var queued = this.failures[method];
+    if (queued && queued.length > 0) throw queued.shift();
+    return { data: respond() };
+};
+
+// Throw these errors from the next calls to `method` ('playlistItems.insert', ...)
+FakeYouTube.prototype.failNext = function(method) {
+    var errors = Array.prototype.slice.call(arguments, 1);
+    this.failures[method] = (this.failures[method] || []).concat(errors);
+};
+
+FakeYouTube.prototype.count = function(method) {
+    return this.calls.filter(function(call) { return call === method; }).length;
+};
+
+FakeYouTube.prototype.addPlaylist = function(title) {
+    var id = 'PL' + this.nextId++;
+    this.playlists[id] = { title: title, items: [] };
+    return id;
+};
+
+FakeYouTube.prototype.playlistOf = function(youtubePlaylistId) {
+    var playlist = this.playlists[youtubePlaylistId];
+    if (!playlist) throw apiError(404, 'playlistNotFound');
+    return playlist;
+};
+
+// Add a video as if on YouTube. title / channel are what reconcile() matches on.
+FakeYouTube.prototype.addItem = function(youtubePlaylistId, videoId, title, channel) {
+    var item = { id: 'item' + this.nextId++, videoId: videoId, title: title || 'Video ' + videoId, channel: channel || '' };
+    this.playlistOf(youtubePlaylistId).items.push(item);
+    return item;
+};
+
+// Take a video out as if on YouTube (every copy)
+FakeYouTube.prototype.removeVideo = function(youtubePlaylistId, videoId) {
+    var playlist = this.playlistOf(youtubePlaylistId);
+    playlist.items = playlist.items.filter(function(item) { return item.videoId !== videoId; });
+};
+
+// Video ids in a YouTube playlist, in order
+FakeYouTube.prototype.videoIds = function(youtubePlaylistId) {
+    return this.playlistOf(youtubePlaylistId).items.map(function(item) { return item.videoId; });
+};
+
+module.exports = {
+    FakeYouTube,
+    apiError
+};
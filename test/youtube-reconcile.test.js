@@ -0,0 +1,283 @@
+// Two-way YouTube sync (youtube-sync.js): removal jobs and reconcile() against a fake YouTube client
+
+process.env.DB_PATH = ':memory:';
+
+var test = require('node:test');
+var assert = require('node:assert');
+var db = require('../db');
+var YouTubeSync = require('../youtube-sync');
+var { addSong, removeSong, playlistSongs } = require('../playlists');
+var { FakeYouTube, apiError } = require('./fake-youtube');
+
+// A clean queue, a playlist mapped to a YouTube playlist, and a worker that
+// only runs when the test calls tick()
+function setup() {
+    db.exec(`
+        DELETE FROM youtube_sync_jobs; DELETE FROM user_playlists; DELETE FROM shares;
+        DELETE FROM playlists; DELETE FROM youtube_quota;
+    `);
+    var fake = new FakeYouTube();
+    var sync = new YouTubeSync(db, {
+        youtube: function() { return fake.client; },
+        getAuth: async function() { return {}; }
+    });
+    sync.poke = function() {};
+
+    var youtubePlaylistId = fake.addPlaylist('Music Battle Favorites');
+    var playlistId = db.prepare('INSERT INTO playlists (session_id, name, youtube_playlist_id) VALUES (?, ?, ?)')
+        .run('owner-1', 'Favorites', youtubePlaylistId).lastInsertRowid;
+    return { fake: fake, sync: sync, playlistId: playlistId, youtubePlaylistId: youtubePlaylistId };
+}
+
+function playlistOf(playlistId) {
+    return db.prepare('SELECT * FROM playlists WHERE id = ?').get(playlistId);
+}
+
+function catalog(count) {
+    return db.prepare('SELECT * FROM songs WHERE active = 1 ORDER BY id LIMIT ?').all(count);
+}
+
+// Put songs in the playlist and sync them the normal way
+async function syncedSongs(ctx, songs) {
+    songs.forEach(function(song) { addSong(db, ctx.playlistId, song.id); });
+    ctx.sync.enqueue(ctx.playlistId);
+    await ctx.sync.tick();
+}
+
+function jobFor(playlistId, songId) {
+    return db.prepare('SELECT * FROM youtube_sync_jobs WHERE playlist_id = ? AND song_id = ?').get(playlistId, songId);
+}
+
+function songIdsIn(playlistId) {
+    return playlistSongs(db, playlistId).map(function(song) { return song.id; });
+}
+
+function ids(items) {
+    return items.map(function(item) { return item.songId; }).sort(function(a, b) { return a - b; });
+}
+
+test('removing a synced song queues a removal that takes it off YouTube', async function() {
+    var ctx = setup();
+    var songs = catalog(2);
+    await syncedSongs(ctx, songs);
+
+    removeSong(db, ctx.playlistId, songs[0].id);
+    assert.strictEqual(ctx.sync.remove(playlistOf(ctx.playlistId), songs[0].id), true);
+    assert.strictEqual(jobFor(ctx.playlistId, songs[0].id).action, 'remove');
+    assert.strictEqual(jobFor(ctx.playlistId, songs[0].id).status, 'pending');
+    assert.strictEqual(ctx.sync.statuses(ctx.playlistId)[songs[0].id], undefined);
+
+    await ctx.sync.tick();
+
+    assert.deepStrictEqual(ctx.fake.videoIds(ctx.youtubePlaylistId), [songs[1].youtube_id]);
+    assert.strictEqual(jobFor(ctx.playlistId, songs[0].id), undefined);
+});
+
+test('a queued add that flips to a removal before it runs never reaches YouTube', async function() {
+    var ctx = setup();
+    var song = catalog(1)[0];
+    addSong(db, ctx.playlistId, song.id);
+    ctx.sync.enqueue(ctx.playlistId);
+
+    removeSong(db, ctx.playlistId, song.id);
+    assert.strictEqual(ctx.sync.remove(playlistOf(ctx.playlistId), song.id), true);
+    await ctx.sync.tick();
+
+    assert.strictEqual(ctx.fake.count('playlistItems.insert'), 0);
+    assert.strictEqual(ctx.fake.count('playlistItems.delete'), 0);
+    assert.deepStrictEqual(ctx.fake.videoIds(ctx.youtubePlaylistId), []);
+    assert.strictEqual(jobFor(ctx.playlistId, song.id), undefined);
+});
+
+test('adding a song back turns its pending removal into an add again', async function() {
+    var ctx = setup();
+    var song = catalog(1)[0];
+    await syncedSongs(ctx, [song]);
+
+    removeSong(db, ctx.playlistId, song.id);
+    ctx.sync.remove(playlistOf(ctx.playlistId), song.id);
+    addSong(db, ctx.playlistId, song.id);
+    assert.strictEqual(ctx.sync.enqueue(ctx.playlistId, [song.id]), 1);
+    assert.strictEqual(jobFor(ctx.playlistId, song.id).action, 'add');
+
+    await ctx.sync.tick();
+    assert.deepStrictEqual(ctx.fake.videoIds(ctx.youtubePlaylistId), [song.youtube_id]);
+    assert.strictEqual(jobFor(ctx.playlistId, song.id).status, 'synced');
+});
+
+test('removing a song that was never queued, or never got a YouTube playlist, queues nothing', function() {
+    var ctx = setup();
+    var songs = catalog(2);
+    addSong(db, ctx.playlistId, songs[0].id);
+    removeSong(db, ctx.playlistId, songs[0].id);
+    assert.strictEqual(ctx.sync.remove(playlistOf(ctx.playlistId), songs[0].id), false);
+
+    var unmapped = db.prepare("INSERT INTO playlists (session_id, name) VALUES ('owner-1', 'Chill')").run().lastInsertRowid;
+    addSong(db, unmapped, songs[1].id);
+    ctx.sync.enqueue(unmapped);
+    removeSong(db, unmapped, songs[1].id);
+    assert.strictEqual(ctx.sync.remove(playlistOf(unmapped), songs[1].id), false);
+    assert.strictEqual(jobFor(unmapped, songs[1].id), undefined);
+});
+
+test('a removal deletes every copy of the video, across list pages', async function() {
+    var ctx = setup();
+    var songs = catalog(2);
+    await syncedSongs(ctx, songs);
+    ctx.fake.addItem(ctx.youtubePlaylistId, songs[0].youtube_id);
+    ctx.fake.addItem(ctx.youtubePlaylistId, songs[1].youtube_id);
+    ctx.fake.addItem(ctx.youtubePlaylistId, songs[0].youtube_id);
+    ctx.fake.pageSize = 1;
+
+    removeSong(db, ctx.playlistId, songs[0].id);
+    ctx.sync.remove(playlistOf(ctx.playlistId), songs[0].id);
+    await ctx.sync.tick();
+
+    assert.strictEqual(ctx.fake.count('playlistItems.delete'), 3);
+    assert.deepStrictEqual(ctx.fake.videoIds(ctx.youtubePlaylistId), [songs[1].youtube_id, songs[1].youtube_id]);
+    assert.strictEqual(jobFor(ctx.playlistId, songs[0].id), undefined);
+});
+
+test('a removal is done when YouTube no longer has the item or the playlist', async function() {
+    var ctx = setup();
+    var song = catalog(1)[0];
+    await syncedSongs(ctx, [song]);
+    ctx.fake.failNext('playlistItems.delete', apiError(404, 'playlistItemNotFound'));
+
+    removeSong(db, ctx.playlistId, song.id);
+    ctx.sync.remove(playlistOf(ctx.playlistId), song.id);
+    await ctx.sync.tick();
+    assert.strictEqual(jobFor(ctx.playlistId, song.id), undefined);
+
+    var other = catalog(2)[1];
+    await syncedSongs(ctx, [other]);
+    delete ctx.fake.playlists[ctx.youtubePlaylistId];
+    removeSong(db, ctx.playlistId, other.id);
+    ctx.sync.remove(playlistOf(ctx.playlistId), other.id);
+    await ctx.sync.tick();
+    assert.strictEqual(jobFor(ctx.playlistId, other.id), undefined);
+});
+
+// Here: a, b, c synced; d added but never queued; e removed (removal still queued).
+// On YouTube: b taken off, f added by video id, g added as another upload with
+// an "Artist - Title" name, plus a video that isn't in the catalog.
+async function divergedPlaylist(ctx) {
+    var s = catalog(7);
+    var songs = { a: s[0], b: s[1], c: s[2], d: s[3], e: s[4], f: s[5], g: s[6] };
+    await syncedSongs(ctx, [songs.a, songs.b, songs.c, songs.e]);
+
+    addSong(db, ctx.playlistId, songs.d.id);
+    removeSong(db, ctx.playlistId, songs.e.id);
+    ctx.sync.remove(playlistOf(ctx.playlistId), songs.e.id);
+
+    ctx.fake.removeVideo(ctx.youtubePlaylistId, songs.b.youtube_id);
+    ctx.fake.addItem(ctx.youtubePlaylistId, songs.f.youtube_id, 'anything', 'someone');
+    ctx.fake.addItem(ctx.youtubePlaylistId, 'otherUpload1', songs.g.artist + ' - ' + songs.g.title + ' (Official Video)', songs.g.artist + 'VEVO');
+    ctx.fake.addItem(ctx.youtubePlaylistId, 'catVideo001', 'Funny cat compilation', 'Cats');
+    ctx.fake.pageSize = 2;
+    return songs;
+}
+
+test('reconcile reports what changed on each side', async function() {
+    var ctx = setup();
+    var songs = await divergedPlaylist(ctx);
+
+    var report = await ctx.sync.reconcile({}, playlistOf(ctx.playlistId), true);
+
+    assert.strictEqual(report.dryRun, true);
+    assert.strictEqual(report.youtubePlaylistId, ctx.youtubePlaylistId);
+    assert.deepStrictEqual(ids(report.local.added), [songs.f.id, songs.g.id]);
+    assert.deepStrictEqual(ids(report.local.removed), [songs.b.id]);
+    assert.deepStrictEqual(ids(report.youtube.added), [songs.d.id]);
+    assert.deepStrictEqual(ids(report.youtube.removed), [songs.e.id]);
+    assert.strictEqual(report.unmatched.length, 1);
+    assert.strictEqual(report.unmatched[0].videoId, 'catVideo001');
+    assert.deepStrictEqual(report.summary, {
+        local: { added: 2, removed: 1 },
+        youtube: { added: 1, removed: 1 },
+        inSync: 2,
+        unmatched: 1
+    });
+
+    var byVideo = report.local.added.find(function(item) { return item.songId === songs.f.id; });
+    var byName = report.local.added.find(function(item) { return item.songId === songs.g.id; });
+    assert.strictEqual(byVideo.by, 'youtube_id');
+    assert.strictEqual(byName.by, 'title_artist');
+    assert.strictEqual(byName.youtubeId, 'otherUpload1');
+});
+
+test('a dry run reads YouTube but changes nothing on either side', async function() {
+    var ctx = setup();
+    var songs = await divergedPlaylist(ctx);
+    var before = {
+        songs: songIdsIn(ctx.playlistId),
+        jobs: db.prepare('SELECT * FROM youtube_sync_jobs ORDER BY id').all(),
+        videos: ctx.fake.videoIds(ctx.youtubePlaylistId)
+    };
+    ctx.fake.calls = [];
+
+    await ctx.sync.reconcile({}, playlistOf(ctx.playlistId), true);
+
+    assert.deepStrictEqual(songIdsIn(ctx.playlistId), before.songs);
+    assert.deepStrictEqual(db.prepare('SELECT * FROM youtube_sync_jobs ORDER BY id').all(), before.jobs);
+    assert.deepStrictEqual(ctx.fake.videoIds(ctx.youtubePlaylistId), before.videos);
+    assert.ok(ctx.fake.calls.every(function(call) { return call === 'playlistItems.list'; }));
+    assert.ok(songIdsIn(ctx.playlistId).indexOf(songs.b.id) !== -1);
+});
+
+test('applying a reconcile brings both sides together and a second pass finds nothing to do', async function() {
+    var ctx = setup();
+    var songs = await divergedPlaylist(ctx);
+
+    var report = await ctx.sync.reconcile({}, playlistOf(ctx.playlistId), false);
+    assert.strictEqual(report.dryRun, false);
+
+    // Here: b dropped, f and g imported as synced, d queued
+    assert.deepStrictEqual(songIdsIn(ctx.playlistId).sort(function(a, b) { return a - b; }),
+        [songs.a.id, songs.c.id, songs.d.id, songs.f.id, songs.g.id]);
+    assert.strictEqual(jobFor(ctx.playlistId, songs.b.id), undefined);
+    assert.strictEqual(jobFor(ctx.playlistId, songs.f.id).status, 'synced');
+    assert.strictEqual(jobFor(ctx.playlistId, songs.g.id).status, 'synced');
+    assert.strictEqual(jobFor(ctx.playlistId, songs.d.id).status, 'pending');
+    assert.strictEqual(jobFor(ctx.playlistId, songs.e.id).action, 'remove');
+
+    // The worker then carries out the YouTube side
+    await ctx.sync.tick();
+    var videos = ctx.fake.videoIds(ctx.youtubePlaylistId);
+    assert.ok(videos.indexOf(songs.d.youtube_id) !== -1);
+    assert.strictEqual(videos.indexOf(songs.e.youtube_id), -1);
+
+    // g is on YouTube as another upload: still in sync, not removed here
+    var again = await ctx.sync.reconcile({}, playlistOf(ctx.playlistId), false);
+    assert.deepStrictEqual(again.summary, {
+        local: { added: 0, removed: 0 },
+        youtube: { added: 0, removed: 0 },
+        inSync: 5,
+        unmatched: 1
+    });
+    assert.ok(songIdsIn(ctx.playlistId).indexOf(songs.g.id) !== -1);
+});
+
+test('songs still waiting to sync are queued, not removed, when YouTube lacks them', async function() {
+    var ctx = setup();
+    var song = catalog(1)[0];
+    addSong(db, ctx.playlistId, song.id);
+    ctx.sync.enqueue(ctx.playlistId);
+    ctx.fake.failNext('playlistItems.insert', apiError(503));
+    await ctx.sync.tick();
+
+    var report = await ctx.sync.reconcile({}, playlistOf(ctx.playlistId), false);
+
+    assert.deepStrictEqual(ids(report.youtube.added), [song.id]);
+    assert.deepStrictEqual(report.local.removed, []);
+    assert.deepStrictEqual(songIdsIn(ctx.playlistId), [song.id]);
+});
+
+test('reconcile fails with playlistNotFound when the YouTube playlist is gone', async function() {
+    var ctx = setup();
+    delete ctx.fake.playlists[ctx.youtubePlaylistId];
+
+    await assert.rejects(ctx.sync.reconcile({}, playlistOf(ctx.playlistId), true), function(e) {
+        return YouTubeSync.describeError(e).reason === 'playlistNotFound';
+    });
+});
@@ -0,0 +1,247 @@
+// YouTube sync queue and worker (youtube-sync.js) against a fake YouTube client
+
+process.env.DB_PATH = ':memory:';
+
+var test = require('node:test');
+var assert = require('node:assert');
+var db = require('../db');
+var YouTubeSync = require('../youtube-sync');
+var { addSong } = require('../playlists');
+var { FakeYouTube, apiError } = require('./fake-youtube');
+
+var OWNER = 'owner-1';
+
+// A clean queue, a playlist and a worker that only runs when the test calls tick()
+function setup(options) {
+    db.exec(`
+        DELETE FROM youtube_sync_jobs; DELETE FROM user_playlists; DELETE FROM shares;
+        DELETE FROM playlists; DELETE FROM youtube_quota;
+    `);
+    var fake = new FakeYouTube();
+    var sync = new YouTubeSync(db, Object.assign({
+        youtube: function() { return fake.client; },
+        getAuth: async function() { return {}; }
+    }, options));
+    sync.poke = function() {};
+
+    var playlistId = db.prepare('INSERT INTO playlists (session_id, name) VALUES (?, ?)').run(OWNER, 'Favorites').lastInsertRowid;
+    return { fake: fake, sync: sync, playlistId: playlistId };
+}
+
+function addSongs(playlistId, count) {
+    var songs = db.prepare('SELECT * FROM songs WHERE active = 1 ORDER BY id LIMIT ?').all(count);
+    songs.forEach(function(song) { addSong(db, playlistId, song.id); });
+    return songs;
+}
+
+// Sync the playlist to an existing YouTube playlist, so jobs skip find-or-create
+function mapPlaylist(fake, playlistId) {
+    var youtubePlaylistId = fake.addPlaylist('Music Battle Favorites');
+    db.prepare('UPDATE playlists SET youtube_playlist_id = ? WHERE id = ?').run(youtubePlaylistId, playlistId);
+    return youtubePlaylistId;
+}
+
+function jobFor(playlistId, songId) {
+    return db.prepare('SELECT * FROM youtube_sync_jobs WHERE playlist_id = ? AND song_id = ?').get(playlistId, songId);
+}
+
+// Seconds until a job's next attempt
+function waitOf(job) {
+    return db.prepare("SELECT ROUND((julianday(?) - julianday('now')) * 86400) as seconds").get(job.next_attempt_at).seconds;
+}
+
+// Let backed-off jobs run on the next tick
+function makeDue() {
+    db.prepare("UPDATE youtube_sync_jobs SET next_attempt_at = datetime('now') WHERE status = 'pending'").run();
+}
+
+test('enqueue adds one pending job per song and dedupes on (playlist, song)', function() {
+    var { sync, playlistId } = setup();
+    var songs = addSongs(playlistId, 3);
+
+    assert.strictEqual(sync.enqueue(playlistId), 3);
+    assert.strictEqual(sync.enqueue(playlistId), 0);
+    assert.strictEqual(sync.enqueue(playlistId, [songs[0].id]), 0);
+
+    var jobs = db.prepare('SELECT * FROM youtube_sync_jobs WHERE playlist_id = ?').all(playlistId);
+    assert.strictEqual(jobs.length, 3);
+    assert.ok(jobs.every(function(job) { return job.status === 'pending' && job.attempts === 0; }));
+    assert.throws(function() {
+        db.prepare('INSERT INTO youtube_sync_jobs (playlist_id, song_id) VALUES (?, ?)').run(playlistId, songs[0].id);
+    }, /UNIQUE/);
+});
+
+test('a successful run creates the YouTube playlist and marks jobs synced', async function() {
+    var { fake, sync, playlistId } = setup();
+    var songs = addSongs(playlistId, 3);
+    sync.enqueue(playlistId);
+
+    assert.strictEqual(await sync.tick(), 3);
+
+    var youtubePlaylistId = db.prepare('SELECT youtube_playlist_id FROM playlists WHERE id = ?').get(playlistId).youtube_playlist_id;
+    assert.ok(youtubePlaylistId);
+    assert.strictEqual(fake.playlists[youtubePlaylistId].title, 'Music Battle Favorites');
+    assert.deepStrictEqual(fake.videoIds(youtubePlaylistId), songs.map(function(song) { return song.youtube_id; }));
+
+    var statuses = sync.statuses(playlistId);
+    songs.forEach(function(song) {
+        assert.strictEqual(statuses[song.id].status, 'synced');
+        assert.strictEqual(statuses[song.id].attempts, 1);
+        assert.ok(statuses[song.id].syncedAt);
+    });
+    assert.deepStrictEqual(sync.summary(OWNER).jobs, { pending: 0, synced: 3, failed: 0 });
+
+    // Synced songs stay put unless a resync is asked for
+    assert.strictEqual(sync.enqueue(playlistId), 0);
+    assert.strictEqual(sync.enqueue(playlistId, null, true), 3);
+    assert.strictEqual(jobFor(playlistId, songs[0].id).status, 'pending');
+});
+
+test('a video already in the YouTube playlist is not inserted twice', async function() {
+    var { fake, sync, playlistId } = setup();
+    var youtubePlaylistId = mapPlaylist(fake, playlistId);
+    var songs = addSongs(playlistId, 1);
+    fake.addItem(youtubePlaylistId, songs[0].youtube_id);
+
+    sync.enqueue(playlistId);
+    await sync.tick();
+
+    assert.strictEqual(fake.count('playlistItems.insert'), 0);
+    assert.strictEqual(jobFor(playlistId, songs[0].id).status, 'synced');
+});
+
+test('5xx and 429 responses back off exponentially, then succeed', async function() {
+    var { fake, sync, playlistId } = setup();
+    mapPlaylist(fake, playlistId);
+    var song = addSongs(playlistId, 1)[0];
+    fake.failNext('playlistItems.insert', apiError(503), apiError(429, 'rateLimitExceeded'));
+    sync.enqueue(playlistId);
+
+    await sync.tick();
+    var job = jobFor(playlistId, song.id);
+    assert.strictEqual(job.status, 'pending');
+    assert.strictEqual(job.attempts, 1);
+    assert.ok(Math.abs(waitOf(job) - 30) <= 2, 'first retry in ~30s, got ' + waitOf(job));
+
+    // Not due yet: the worker leaves it alone
+    assert.strictEqual(await sync.tick(), 0);
+
+    makeDue();
+    await sync.tick();
+    job = jobFor(playlistId, song.id);
+    assert.strictEqual(job.status, 'pending');
+    assert.strictEqual(job.attempts, 2);
+    assert.match(job.last_error, /rateLimitExceeded/);
+    assert.ok(Math.abs(waitOf(job) - 60) <= 2, 'second retry in ~60s, got ' + waitOf(job));
+
+    makeDue();
+    await sync.tick();
+    job = jobFor(playlistId, song.id);
+    assert.strictEqual(job.status, 'synced');
+    assert.strictEqual(job.attempts, 3);
+    assert.strictEqual(job.last_error, null);
+});
+
+test('a job fails for good after the maximum number of attempts', async function() {
+    var { fake, sync, playlistId } = setup();
+    mapPlaylist(fake, playlistId);
+    var song = addSongs(playlistId, 1)[0];
+    for (var i = 0; i < 10; i++) fake.failNext('playlistItems.insert', apiError(500));
+    sync.enqueue(playlistId);
+
+    for (var round = 0; round < 10 && jobFor(playlistId, song.id).status === 'pending'; round++) {
+        makeDue();
+        await sync.tick();
+    }
+
+    var job = jobFor(playlistId, song.id);
+    assert.strictEqual(job.status, 'failed');
+    assert.strictEqual(job.attempts, 6);
+    assert.strictEqual(fake.count('playlistItems.insert'), 6);
+    assert.strictEqual(await sync.tick(), 0);
+
+    // A plain enqueue retries failed songs from scratch
+    assert.strictEqual(sync.enqueue(playlistId), 1);
+    assert.strictEqual(jobFor(playlistId, song.id).attempts, 0);
+});
+
+test('a missing video fails at once without retrying', async function() {
+    var { fake, sync, playlistId } = setup();
+    mapPlaylist(fake, playlistId);
+    var song = addSongs(playlistId, 1)[0];
+    fake.failNext('playlistItems.insert', apiError(404, 'videoNotFound'));
+    sync.enqueue(playlistId);
+
+    await sync.tick();
+
+    var job = jobFor(playlistId, song.id);
+    assert.strictEqual(job.status, 'failed');
+    assert.match(job.last_error, /videoNotFound/);
+});
+
+test('the worker stops before a job could go over the daily quota budget', async function() {
+    // Each job here costs a duplicate check and an insert: 1 + 50 units
+    var { fake, sync, playlistId } = setup({ dailyQuota: 200 });
+    mapPlaylist(fake, playlistId);
+    var songs = addSongs(playlistId, 5);
+    sync.enqueue(playlistId);
+
+    assert.strictEqual(await sync.tick(), 2);
+    assert.strictEqual(sync.quotaUsed(), 102);
+    assert.strictEqual(await sync.tick(), 0);
+
+    var pending = songs.filter(function(song) { return jobFor(playlistId, song.id).status === 'pending'; });
+    assert.strictEqual(pending.length, 3);
+    assert.ok(pending.every(function(song) { return jobFor(playlistId, song.id).attempts === 0; }));
+
+    // A new quota day picks up where it left off, with the same budget
+    db.exec('DELETE FROM youtube_quota');
+    assert.strictEqual(await sync.tick(), 2);
+    assert.strictEqual(songs.filter(function(song) { return jobFor(playlistId, song.id).status === 'synced'; }).length, 4);
+});
+
+test('quotaExceeded from YouTube spends the rest of the day without using up attempts', async function() {
+    var { fake, sync, playlistId } = setup();
+    mapPlaylist(fake, playlistId);
+    var song = addSongs(playlistId, 1)[0];
+    fake.failNext('playlistItems.list', apiError(403, 'quotaExceeded'));
+    sync.enqueue(playlistId);
+
+    await sync.tick();
+
+    var job = jobFor(playlistId, song.id);
+    assert.strictEqual(job.status, 'pending');
+    assert.strictEqual(job.attempts, 0);
+    assert.strictEqual(sync.quotaLeft(), 0);
+    assert.strictEqual(await sync.tick(), 0);
+    assert.strictEqual(fake.count('playlistItems.insert'), 0);
+});
+
+test('jobs fail without calling YouTube when the owner has no usable auth', async function() {
+    // getAuth resolves null when YouTube isn't connected or the token can't be refreshed
+    var { fake, sync, playlistId } = setup({ getAuth: async function() { return null; } });
+    var song = addSongs(playlistId, 1)[0];
+    sync.enqueue(playlistId);
+
+    await sync.tick();
+
+    var job = jobFor(playlistId, song.id);
+    assert.strictEqual(job.status, 'failed');
+    assert.strictEqual(job.last_error, 'YouTube not connected');
+    assert.deepStrictEqual(fake.calls, []);
+});
+
+test('an expired or revoked token (401) is retried with backoff', async function() {
+    var { fake, sync, playlistId } = setup();
+    mapPlaylist(fake, playlistId);
+    var song = addSongs(playlistId, 1)[0];
+    fake.failNext('playlistItems.insert', apiError(401, 'authError'));
+    sync.enqueue(playlistId);
+
+    await sync.tick();
+
+    var job = jobFor(playlistId, song.id);
+    assert.strictEqual(job.status, 'pending');
+    assert.strictEqual(job.attempts, 1);
+    assert.match(job.last_error, /authError/);
+});
@@ -0,0 +1,193 @@
+/*
+  TOURNAMENT.JS - Single-elimination brackets for Music Battle
+  A tournament seeds N songs by global_elo (optionally within one genre),
+  lays out every match up front, and fills the next round as winners advance.
+  Round 1 is the first round; match `slot` s in round r+1 is fed by slots 2s and 2s+1.
+*/
+
+var { normalizeGenre } = require('./catalog');
+
+var SIZES = [8, 16, 32];
+
+// Seed order down the bracket so the top seeds can only meet late:
+// 8 -> [1, 8, 4, 5, 2, 7, 3, 6]
+function bracketOrder(size) {
+    var order = [1];
+    while (order.length < size) {
+        var total = order.length * 2 + 1;
+        order = order.reduce(function(acc, seed) {
+            return acc.concat([seed, total - seed]);
+        }, []);
+    }
+    return order;
+}
+
+function roundCount(size) {
+    return Math.log2(size);
+}
+
+function roundName(round, rounds) {
+    var left = rounds - round;
+    if (left === 0) return 'Final';
+    if (left === 1) return 'Semifinals';
+    if (left === 2) return 'Quarterfinals';
+    return 'Round of ' + Math.pow(2, left + 1);
+}
+
+// Create a tournament and its full bracket.
+// options: { sessionId, userId, size, genre, feedsGlobal, name }
+// Returns { tournamentId } or { error } when the options or catalog don't allow it.
+function createTournament(db, options) {
+    var size = Number(options.size);
+    if (SIZES.indexOf(size) === -1) {
+        return { error: 'size must be one of ' + SIZES.join(', ') };
+    }
+
+    var genre = options.genre ? normalizeGenre(options.genre) : null;
+    var songs = genre
+        ? db.prepare('SELECT id FROM songs WHERE active = 1 AND genre = ? ORDER BY global_elo DESC, id LIMIT ?').all(genre, size)
+        : db.prepare('SELECT id FROM songs WHERE active = 1 ORDER BY global_elo DESC, id LIMIT ?').all(size);
+
+    if (songs.length < size) {
+        return { error: 'Only ' + songs.length + ' active songs' + (genre ? ' in ' + genre : '') + ' — need ' + size };
+    }
+
+    var name = typeof options.name === 'string' && options.name.trim()
+        ? options.name.trim().slice(0, 60)
+        : (genre ? genre.charAt(0).toUpperCase() + genre.slice(1) + ' ' : '') + 'Top ' + size;
+
+    return db.transaction(function() {
+        var tournamentId = Number(db.prepare(`
+            INSERT INTO tournaments (session_id, user_id, name, size, genre, feeds_global)
+            VALUES (?, ?, ?, ?, ?, ?)
+        `).run(options.sessionId, options.userId || null, name, size, genre, options.feedsGlobal ? 1 : 0).lastInsertRowid);
+
+        var insertEntry = db.prepare('INSERT INTO tournament_entries (tournament_id, song_id, seed) VALUES (?, ?, ?)');
+        songs.forEach(function(song, idx) {
+            insertEntry.run(tournamentId, song.id, idx + 1);
+        });
+
+        // Round 1 gets its songs now; later rounds start empty and fill as winners advance
+        var insertMatch = db.prepare(`
+            INSERT INTO tournament_matches (tournament_id, round, slot, song_a_id, song_b_id)
+            VALUES (?, ?, ?, ?, ?)
+        `);
+        var order = bracketOrder(size);
+        for (var slot = 0; slot < size / 2; slot++) {
+            insertMatch.run(tournamentId, 1, slot, songs[order[slot * 2] - 1].id, songs[order[slot * 2 + 1] - 1].id);
+        }
+        for (var round = 2; round <= roundCount(size); round++) {
+            for (slot = 0; slot < size / Math.pow(2, round); slot++) {
+                insertMatch.run(tournamentId, round, slot, null, null);
+            }
+        }
+
+        return { tournamentId: tournamentId };
+    })();
+}
+
+// The next match to play: lowest round first, then bracket order
+function currentMatch(db, tournamentId) {
+    return db.prepare(`
+        SELECT * FROM tournament_matches
+        WHERE tournament_id = ? AND winner_id IS NULL
+          AND song_a_id IS NOT NULL AND song_b_id IS NOT NULL
+        ORDER BY round, slot
+        LIMIT 1
+    `).get(tournamentId) || null;
+}
+
+// Settle a match and move the winner into the next round (or crown them).
+// Run inside the caller's transaction when the vote also feeds global ratings.
+// Returns { ok: true, match, winnerId, loserId, champion } or { ok: false, status, error }.
+function decideMatch(db, tournament, matchId, winnerId) {
+    var match = currentMatch(db, tournament.id);
+    if (!match) {
+        return { ok: false, status: 409, error: 'Tournament is already finished' };
+    }
+    if (match.id !== Number(matchId)) {
+        return { ok: false, status: 409, error: 'That match is not up next' };
+    }
+    if (Number(winnerId) !== match.song_a_id && Number(winnerId) !== match.song_b_id) {
+        return { ok: false, status: 400, error: 'winnerId must be one of the two songs in the match' };
+    }
+    winnerId = Number(winnerId);
+    var loserId = winnerId === match.song_a_id ? match.song_b_id : match.song_a_id;
+    var result = { ok: true, match: match, winnerId: winnerId, loserId: loserId, champion: null };
+
+    db.prepare('UPDATE tournament_matches SET winner_id = ?, decided_at = CURRENT_TIMESTAMP WHERE id = ?')
+        .run(winnerId, match.id);
+
+    if (match.round === roundCount(tournament.size)) {
+        db.prepare(`
+            UPDATE tournaments SET status = 'complete', champion_id = ?, completed_at = CURRENT_TIMESTAMP
+            WHERE id = ?
+        `).run(winnerId, tournament.id);
+        result.champion = winnerId;
+        return result;
+    }
+
+    var column = match.slot % 2 === 0 ? 'song_a_id' : 'song_b_id';
+    db.prepare('UPDATE tournament_matches SET ' + column + ' = ? WHERE tournament_id = ? AND round = ? AND slot = ?')
+        .run(winnerId, tournament.id, match.round + 1, Math.floor(match.slot / 2));
+    return result;
+}
+
+// Full bracket for display: rounds -> matches -> songs with their seeds
+function getBracket(db, tournamentId) {
+    var tournament = db.prepare('SELECT * FROM tournaments WHERE id = ?').get(tournamentId);
+    if (!tournament) return null;
+
+    var songs = {};
+    db.prepare(`
+        SELECT s.id, s.title, s.artist, s.youtube_id, s.start_time, s.genre, e.seed
+        FROM tournament_entries e
+        JOIN songs s ON s.id = e.song_id
+        WHERE e.tournament_id = ?
+    `).all(tournamentId).forEach(function(song) {
+        songs[song.id] = song;
+    });
+
+    var rounds = [];
+    var total = roundCount(tournament.size);
+    for (var r = 1; r <= total; r++) {
+        rounds.push({ round: r, name: roundName(r, total), matches: [] });
+    }
+
+    db.prepare('SELECT * FROM tournament_matches WHERE tournament_id = ? ORDER BY round, slot')
+        .all(tournamentId).forEach(function(match) {
+            rounds[match.round - 1].matches.push({
+                id: match.id,
+                slot: match.slot,
+                songA: songs[match.song_a_id] || null,
+                songB: songs[match.song_b_id] || null,
+                winnerId: match.winner_id,
+                decidedAt: match.decided_at
+            });
+        });
+
+    var next = currentMatch(db, tournamentId);
+
+    return {
+        id: tournament.id,
+        name: tournament.name,
+        size: tournament.size,
+        genre: tournament.genre,
+        feedsGlobal: !!tournament.feeds_global,
+        status: tournament.status,
+        champion: songs[tournament.champion_id] || null,
+        createdAt: tournament.created_at,
+        completedAt: tournament.completed_at,
+        currentMatchId: next ? next.id : null,
+        rounds: rounds
+    };
+}
+
+module.exports = {
+    SIZES,
+    bracketOrder,
+    createTournament,
+    currentMatch,
+    decideMatch,
+    getBracket
+};
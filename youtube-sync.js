@@ -0,0 +1,614 @@
+/*
+  YOUTUBE-SYNC.JS - Background sync of playlists to YouTube
+  Saving a song no longer calls YouTube inside the request: it queues a job
+  (one youtube_sync_jobs row per playlist song, which doubles as that song's
+  sync status: pending / synced / failed) and a worker in this process works
+  through due jobs a few seconds later.
+
+  - Retries: a failed call is retried with exponential backoff (30s, 1m, 2m,
+    ... capped at an hour) up to MAX_ATTEMPTS, then the job is marked failed
+    with the error. Errors that won't fix themselves (video gone, bad request)
+    fail straight away.
+  - Quota: every API call is charged to youtube_quota for the current quota
+    day (YouTube resets at midnight Pacific time) at YouTube's published unit
+    costs. Jobs wait while the day's budget (YOUTUBE_DAILY_QUOTA, default
+    10000 — a new project's allowance) can't cover them, and a quotaExceeded
+    error from YouTube uses up the rest of the day.
+  - Removals: taking a song out of a playlist that synced it queues a
+    'remove' job, which deletes the video's item(s) from the YouTube playlist.
+  - Reconcile (two-way): reconcile() pulls the YouTube playlist and diffs it
+    against ours. Videos added on YouTube that match catalog songs (see
+    playlist-io.js) are imported; songs that were synced but have since been
+    removed on YouTube are removed here; anything of ours missing on YouTube
+    is queued. The result is a report of what changed on each side.
+  - The googleapis client is injected — options.youtube(auth) returns a
+    `youtube` v3 client — so the worker runs against a fake client too
+    (test/fake-youtube.js, used by npm test).
+*/
+
+var { playlistSongs, addSong, removeSong } = require('./playlists');
+var { matchEntries, splitDisplayName } = require('./playlist-io');
+
+var QUOTA_COSTS = { list: 1, insert: 50, delete: 50 };
+var DEFAULT_DAILY_QUOTA = 10000;
+var MAX_ATTEMPTS = 6;
+var BACKOFF_BASE_SECONDS = 30;
+var BACKOFF_MAX_SECONDS = 60 * 60;
+var POLL_MS = 5 * 1000;
+var BATCH_SIZE = 20;            // jobs per tick, so one big sync-all doesn't hog the process
+
+// The YouTube quota day: the date in Pacific time, when Google resets quotas
+function quotaDay(now) {
+    return (now || new Date()).toLocaleDateString('en-CA', { timeZone: 'America/Los_Angeles' });
+}
+
+// googleapis errors carry the reason deep inside; pull out { status, reason }
+function describeError(e) {
+    var errors = (e.response && e.response.data && e.response.data.error && e.response.data.error.errors) || e.errors || [];
+    return {
+        status: Number(e.code || (e.response && e.response.status)) || null,
+        reason: errors.length > 0 ? errors[0].reason : null
+    };
+}
+
+// Seconds to wait before attempt number `attempts + 1`
+function backoffSeconds(attempts) {
+    return Math.min(BACKOFF_BASE_SECONDS * Math.pow(2, attempts - 1), BACKOFF_MAX_SECONDS);
+}
+
+// options: {
+//   youtube(auth)   -> googleapis youtube v3 client (inject a fake in tests)
+//   getAuth(owner)  -> Promise of an OAuth client for an owner key, or null if not connected
+//   dailyQuota      -> units per quota day (default YOUTUBE_DAILY_QUOTA or 10000)
+// }
+function YouTubeSync(db, options) {
+    this.db = db;
+    this.youtube = options.youtube;
+    this.getAuth = options.getAuth;
+    this.dailyQuota = options.dailyQuota || Number(process.env.YOUTUBE_DAILY_QUOTA) || DEFAULT_DAILY_QUOTA;
+    this.running = false;
+    this.timer = null;
+}
+
+// ============================================
+// QUOTA
+// ============================================
+
+YouTubeSync.prototype.quotaUsed = function() {
+    var row = this.db.prepare('SELECT units FROM youtube_quota WHERE day = ?').get(quotaDay());
+    return row ? row.units : 0;
+};
+
+YouTubeSync.prototype.quotaLeft = function() {
+    return Math.max(0, this.dailyQuota - this.quotaUsed());
+};
+
+YouTubeSync.prototype.charge = function(units) {
+    this.db.prepare(`
+        INSERT INTO youtube_quota (day, units) VALUES (?, ?)
+        ON CONFLICT(day) DO UPDATE SET units = units + excluded.units
+    `).run(quotaDay(), units);
+};
+
+// YouTube says we're out: nothing more today
+YouTubeSync.prototype.exhaustQuota = function() {
+    var left = this.quotaLeft();
+    if (left > 0) this.charge(left);
+};
+
+// Run one API call, charging its unit cost whether or not it succeeds
+YouTubeSync.prototype.call = function(cost, request) {
+    this.charge(QUOTA_COSTS[cost]);
+    return request();
+};
+
+// ============================================
+// YOUTUBE CALLS
+// ============================================
+
+// Add a video to a YouTube playlist unless it's already there (1 + 50 units)
+YouTubeSync.prototype.addVideo = async function(auth, youtubePlaylistId, videoId) {
+    var youtube = this.youtube(auth);
+
+    try {
+        var existing = await this.call('list', function() {
+            return youtube.playlistItems.list({
+                part: 'snippet',
+                playlistId: youtubePlaylistId,
+                videoId: videoId,
+                maxResults: 1
+            });
+        });
+        if (existing.data.items && existing.data.items.length > 0) return;
+    } catch (e) {
+        // The duplicate check is best-effort — unless YouTube is refusing everything
+        var reason = describeError(e).reason;
+        if (reason === 'quotaExceeded' || reason === 'dailyLimitExceeded' || reason === 'playlistNotFound') throw e;
+    }
+
+    await this.call('insert', function() {
+        return youtube.playlistItems.insert({
+            part: 'snippet',
+            requestBody: {
+                snippet: {
+                    playlistId: youtubePlaylistId,
+                    resourceId: { kind: 'youtube#video', videoId: videoId }
+                }
+            }
+        });
+    });
+};
+
+// Take every copy of a video out of a YouTube playlist (1 per 50 listed + 50 per copy units).
+// All pages are read before deleting, so removals don't shift items between pages.
+YouTubeSync.prototype.removeVideo = async function(auth, youtubePlaylistId, videoId) {
+    var youtube = this.youtube(auth);
+    var itemIds = [];
+    var pageToken;
+    do {
+        var page = await this.call('list', function() {
+            return youtube.playlistItems.list({
+                part: 'id', playlistId: youtubePlaylistId, videoId: videoId, maxResults: 50, pageToken: pageToken
+            });
+        });
+        (page.data.items || []).forEach(function(item) { itemIds.push(item.id); });
+        pageToken = page.data.nextPageToken;
+    } while (pageToken);
+
+    for (var i = 0; i < itemIds.length; i++) {
+        await this.call('delete', function() {
+            return youtube.playlistItems.delete({ id: itemIds[i] });
+        });
+    }
+};
+
+// Every video in a YouTube playlist: [{ itemId, videoId, title, channel }] (1 unit per 50)
+YouTubeSync.prototype.listVideos = async function(auth, youtubePlaylistId) {
+    var youtube = this.youtube(auth);
+    var videos = [];
+    var pageToken;
+    do {
+        var page = await this.call('list', function() {
+            return youtube.playlistItems.list({ part: 'snippet', playlistId: youtubePlaylistId, maxResults: 50, pageToken: pageToken });
+        });
+        (page.data.items || []).forEach(function(item) {
+            videos.push({
+                itemId: item.id,
+                videoId: item.snippet.resourceId.videoId,
+                title: item.snippet.title,
+                channel: item.snippet.videoOwnerChannelTitle || ''
+            });
+        });
+        pageToken = page.data.nextPageToken;
+    } while (pageToken);
+    return videos;
+};
+
+// Find a playlist of ours by title, or create it (1 + 50 units). Returns its YouTube id.
+YouTubeSync.prototype.findOrCreatePlaylist = async function(auth, title) {
+    var youtube = this.youtube(auth);
+
+    try {
+        var playlists = await this.call('list', function() {
+            return youtube.playlists.list({ part: 'snippet', mine: true, maxResults: 50 });
+        });
+        var existing = (playlists.data.items || []).find(function(p) {
+            return p.snippet.title === title;
+        });
+        if (existing) return existing.id;
+    } catch (e) {
+        console.error('Failed to check playlists:', e.message);
+    }
+
+    var result = await this.call('insert', function() {
+        return youtube.playlists.insert({
+            part: 'snippet,status',
+            requestBody: {
+                snippet: { title: title, description: 'Songs I voted for in Music Battle' },
+                status: { privacyStatus: 'unlisted' }
+            }
+        });
+    });
+    return result.data.id;
+};
+
+// YouTube playlist title for a local playlist: "Favorites" -> "Music Battle Favorites"
+function youtubePlaylistTitle(playlist) {
+    return 'Music Battle ' + playlist.name;
+}
+
+// The YouTube playlist a local playlist syncs to, found or created on first use
+YouTubeSync.prototype.ensurePlaylist = async function(auth, playlist) {
+    if (playlist.youtube_playlist_id) return playlist.youtube_playlist_id;
+
+    var youtubePlaylistId = await this.findOrCreatePlaylist(auth, youtubePlaylistTitle(playlist));
+    this.db.prepare('UPDATE playlists SET youtube_playlist_id = ? WHERE id = ?').run(youtubePlaylistId, playlist.id);
+    playlist.youtube_playlist_id = youtubePlaylistId;
+    return youtubePlaylistId;
+};
+
+// ============================================
+// QUEUE
+// ============================================
+
+// Queue songs of a playlist for syncing (default: every song in it).
+// Songs already synced are left alone unless `resync`. Returns jobs queued.
+YouTubeSync.prototype.enqueue = function(playlistId, songIds, resync) {
+    var db = this.db;
+    if (!songIds) {
+        songIds = db.prepare('SELECT song_id FROM user_playlists WHERE playlist_id = ?').all(playlistId)
+            .map(function(row) { return row.song_id; });
+    }
+
+    var queue = db.prepare(`
+        INSERT INTO youtube_sync_jobs (playlist_id, song_id, action, status, next_attempt_at)
+        VALUES (?, ?, 'add', 'pending', datetime('now'))
+        ON CONFLICT(playlist_id, song_id) DO UPDATE SET
+            action = 'add', status = 'pending', attempts = 0, last_error = NULL,
+            next_attempt_at = datetime('now'), updated_at = CURRENT_TIMESTAMP
+        WHERE status = 'failed' OR action = 'remove' OR ?
+    `);
+    var queued = db.transaction(function() {
+        return songIds.reduce(function(count, songId) {
+            return count + queue.run(playlistId, Number(songId), resync ? 1 : 0).changes;
+        }, 0);
+    })();
+
+    if (queued > 0) this.poke();
+    return queued;
+};
+
+// A song left the playlist. If it was queued for (or made it to) YouTube, queue its
+// removal there; otherwise just forget it. Returns true if a removal was queued.
+YouTubeSync.prototype.remove = function(playlist, songId) {
+    var db = this.db;
+    var job = db.prepare('SELECT * FROM youtube_sync_jobs WHERE playlist_id = ? AND song_id = ?').get(playlist.id, Number(songId));
+    if (!job) return false;
+    if (!playlist.youtube_playlist_id) {
+        db.prepare('DELETE FROM youtube_sync_jobs WHERE id = ?').run(job.id);
+        return false;
+    }
+
+    db.prepare(`
+        UPDATE youtube_sync_jobs SET action = 'remove', status = 'pending', attempts = 0, last_error = NULL,
+            next_attempt_at = datetime('now'), updated_at = CURRENT_TIMESTAMP
+        WHERE id = ?
+    `).run(job.id);
+    this.poke();
+    return true;
+};
+
+// Sync status per song in a playlist: { songId: { status, attempts, error, syncedAt } }
+YouTubeSync.prototype.statuses = function(playlistId) {
+    var result = {};
+    this.db.prepare("SELECT * FROM youtube_sync_jobs WHERE playlist_id = ? AND action = 'add'").all(playlistId).forEach(function(job) {
+        result[job.song_id] = {
+            status: job.status,
+            attempts: job.attempts,
+            error: job.last_error,
+            syncedAt: job.synced_at
+        };
+    });
+    return result;
+};
+
+// Queue and quota overview for an owner
+YouTubeSync.prototype.summary = function(owner) {
+    var counts = { pending: 0, synced: 0, failed: 0 };
+    this.db.prepare(`
+        SELECT j.status, COUNT(*) as count
+        FROM youtube_sync_jobs j
+        JOIN playlists p ON p.id = j.playlist_id
+        WHERE p.session_id = ?
+        GROUP BY j.status
+    `).all(owner).forEach(function(row) { counts[row.status] = row.count; });
+
+    return {
+        jobs: counts,
+        quota: { day: quotaDay(), used: this.quotaUsed(), budget: this.dailyQuota }
+    };
+};
+
+// ============================================
+// WORKER
+// ============================================
+
+YouTubeSync.prototype.start = function() {
+    var self = this;
+    this.timer = setInterval(function() { self.tick(); }, POLL_MS);
+    this.timer.unref();
+    this.poke();
+};
+
+YouTubeSync.prototype.stop = function() {
+    clearInterval(this.timer);
+    this.timer = null;
+};
+
+// Run soon rather than waiting for the next poll
+YouTubeSync.prototype.poke = function() {
+    var self = this;
+    setImmediate(function() { self.tick(); });
+};
+
+// Work through due jobs until the batch, the queue or the day's quota runs out.
+// Returns the number of jobs attempted.
+YouTubeSync.prototype.tick = async function() {
+    if (this.running) return 0;
+    this.running = true;
+
+    var attempted = 0;
+    try {
+        var due = this.db.prepare(`
+            SELECT j.*, p.session_id as owner, s.youtube_id
+            FROM youtube_sync_jobs j
+            JOIN playlists p ON p.id = j.playlist_id
+            JOIN songs s ON s.id = j.song_id
+            WHERE j.status = 'pending' AND j.next_attempt_at <= datetime('now')
+            ORDER BY j.next_attempt_at, j.id
+            LIMIT ?
+        `).all(BATCH_SIZE);
+
+        var auths = new Map();
+        for (var i = 0; i < due.length; i++) {
+            // Worst case for one job: find/create the YouTube playlist, then check + insert
+            if (this.quotaLeft() < 2 * (QUOTA_COSTS.list + QUOTA_COSTS.insert)) break;
+
+            var job = due[i];
+            if (!auths.has(job.owner)) auths.set(job.owner, await this.getAuth(job.owner));
+            await this.run(job, auths.get(job.owner));
+            attempted++;
+        }
+    } catch (e) {
+        console.error('YouTube sync worker error:', e.message);
+    } finally {
+        this.running = false;
+    }
+    return attempted;
+};
+
+// One attempt at one job
+YouTubeSync.prototype.run = async function(job, auth) {
+    var db = this.db;
+    if (!auth) {
+        this.fail(job, 'YouTube not connected');
+        return;
+    }
+
+    var playlist = db.prepare('SELECT * FROM playlists WHERE id = ?').get(job.playlist_id);
+    if (!playlist) return;  // deleted since the batch was picked
+
+    if (job.action === 'remove') {
+        await this.runRemoval(job, auth, playlist);
+        return;
+    }
+
+    try {
+        var youtubePlaylistId = await this.ensurePlaylist(auth, playlist);
+        await this.addVideo(auth, youtubePlaylistId, job.youtube_id);
+        db.prepare(`
+            UPDATE youtube_sync_jobs SET status = 'synced', attempts = attempts + 1, last_error = NULL,
+                synced_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+            WHERE id = ?
+        `).run(job.id);
+    } catch (e) {
+        this.retryOrFail(job, playlist, e);
+    }
+};
+
+// A removal is done once the video is gone — including when YouTube has no such
+// playlist or item any more — and then the job row goes too
+YouTubeSync.prototype.runRemoval = async function(job, auth, playlist) {
+    var done = this.db.prepare("DELETE FROM youtube_sync_jobs WHERE id = ? AND action = 'remove'");
+    if (!playlist.youtube_playlist_id) {
+        done.run(job.id);
+        return;
+    }
+
+    try {
+        await this.removeVideo(auth, playlist.youtube_playlist_id, job.youtube_id);
+        done.run(job.id);
+    } catch (e) {
+        var error = describeError(e);
+        if (error.status === 404) {
+            done.run(job.id);
+            return;
+        }
+        this.retryOrFail(job, playlist, e);
+    }
+};
+
+YouTubeSync.prototype.retryOrFail = function(job, playlist, e) {
+    var error = describeError(e);
+    var message = error.reason ? error.reason + ': ' + e.message : e.message;
+
+    // Out of quota: the job keeps its place (and its attempts) until the budget resets
+    if (error.reason === 'quotaExceeded' || error.reason === 'dailyLimitExceeded') {
+        this.exhaustQuota();
+        this.db.prepare('UPDATE youtube_sync_jobs SET last_error = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?')
+            .run(message, job.id);
+        return;
+    }
+    // Someone deleted the YouTube playlist: make a new one on the retry
+    if (error.reason === 'playlistNotFound') {
+        this.db.prepare('UPDATE playlists SET youtube_playlist_id = NULL WHERE id = ?').run(playlist.id);
+    }
+    // Bad request or missing video: retrying won't help
+    else if (error.status === 400 || error.status === 404) {
+        this.fail(job, message);
+        return;
+    }
+
+    var attempts = job.attempts + 1;
+    if (attempts >= MAX_ATTEMPTS) {
+        this.fail(job, message);
+        return;
+    }
+    this.db.prepare(`
+        UPDATE youtube_sync_jobs SET attempts = ?, last_error = ?,
+            next_attempt_at = datetime('now', ?), updated_at = CURRENT_TIMESTAMP
+        WHERE id = ?
+    `).run(attempts, message, '+' + backoffSeconds(attempts) + ' seconds', job.id);
+};
+
+YouTubeSync.prototype.fail = function(job, message) {
+    console.error('YouTube sync failed for song ' + job.song_id + ' in playlist ' + job.playlist_id + ':', message);
+    this.db.prepare(`
+        UPDATE youtube_sync_jobs SET status = 'failed', attempts = attempts + 1, last_error = ?, updated_at = CURRENT_TIMESTAMP
+        WHERE id = ?
+    `).run(message, job.id);
+};
+
+// ============================================
+// RECONCILE — two-way sync with the YouTube playlist
+// ============================================
+
+// A YouTube video as an import entry: "Artist - Title" if the title says so,
+// otherwise the uploader's channel stands in for the artist
+function videoEntry(video) {
+    var entry = splitDisplayName(video.title || '');
+    if (!entry.artist) entry.artist = video.channel.replace(/\s*-\s*Topic$/i, '').replace(/VEVO$/i, '').trim();
+    entry.location = 'https://www.youtube.com/watch?v=' + video.videoId;
+    return entry;
+}
+
+function songItem(song) {
+    return { songId: song.id, title: song.title, artist: song.artist, youtubeId: song.youtube_id };
+}
+
+// Diff a playlist against its YouTube playlist and (unless dryRun) bring both
+// sides together. Returns { dryRun, playlistId, youtubePlaylistId, summary,
+// local: { added, removed }, youtube: { added, removed }, unmatched }:
+//   local.added     videos added on YouTube that match a catalog song, imported here
+//   local.removed   songs that had synced but were taken off on YouTube, removed here
+//   youtube.added   songs here that aren't on YouTube yet, queued for adding
+//   youtube.removed songs removed here whose video is still on YouTube (removal queued)
+//   unmatched       videos on YouTube we couldn't (or shouldn't) import
+YouTubeSync.prototype.reconcile = async function(auth, playlist, dryRun) {
+    var db = this.db;
+    var videos = await this.listVideos(auth, playlist.youtube_playlist_id);
+    var onYouTube = new Set(videos.map(function(video) { return video.videoId; }));
+
+    var songs = playlistSongs(db, playlist.id);
+    var songIds = new Set(songs.map(function(song) { return song.id; }));
+    var known = new Set(songs.map(function(song) { return song.youtube_id; }));
+    var removals = db.prepare(`
+        SELECT j.id as job_id, s.id, s.title, s.artist, s.youtube_id
+        FROM youtube_sync_jobs j
+        JOIN songs s ON s.id = j.song_id
+        WHERE j.playlist_id = ? AND j.action = 'remove'
+    `).all(playlist.id);
+    var removedIds = new Set(removals.map(function(song) { return song.id; }));
+
+    var report = { local: { added: [], removed: [] }, youtube: { added: [], removed: [] }, unmatched: [] };
+    var inSync = [];
+
+    var finished = [];
+    removals.forEach(function(song) {
+        known.add(song.youtube_id);
+        if (onYouTube.has(song.youtube_id)) report.youtube.removed.push(songItem(song));
+        else finished.push(song.job_id);
+    });
+
+    // Videos only YouTube has (each once, however many times it's listed)
+    var seen = new Set();
+    var incoming = videos.filter(function(video) {
+        if (known.has(video.videoId) || seen.has(video.videoId)) return false;
+        seen.add(video.videoId);
+        return true;
+    });
+    var result = matchEntries(db, incoming.map(videoEntry));
+
+    // A song of ours whose own video isn't on YouTube may be there as another upload
+    // (one imported by an earlier reconcile, say): that counts as in sync
+    var uploads = new Set();
+    var standIns = new Set();
+    songs.forEach(function(song) {
+        if (onYouTube.has(song.youtube_id)) uploads.add(song.id);
+    });
+    result.matched = result.matched.filter(function(match) {
+        if (!songIds.has(match.songId) || uploads.has(match.songId) || standIns.has(match.songId)) return true;
+        standIns.add(match.songId);
+        return false;
+    });
+
+    songs.forEach(function(song) {
+        if (uploads.has(song.id) || standIns.has(song.id)) inSync.push(song.id);
+        else if (song.sync_status === 'synced') report.local.removed.push(songItem(song));
+        else report.youtube.added.push(songItem(song));
+    });
+
+    result.matched.forEach(function(match) {
+        var video = incoming[match.entry - 1];
+        var reason = songIds.has(match.songId) ? 'Already in the playlist as ' + match.title
+            : removedIds.has(match.songId) ? 'Removed from the playlist here'
+                : null;
+        if (reason) {
+            report.unmatched.push({ videoId: video.videoId, title: video.title, channel: video.channel, reason: reason });
+            return;
+        }
+        songIds.add(match.songId);
+        report.local.added.push({
+            songId: match.songId,
+            title: match.title,
+            artist: match.artist,
+            youtubeId: video.videoId,
+            video: { title: video.title, channel: video.channel },
+            by: match.by,
+            score: match.score
+        });
+    });
+    result.unmatched.forEach(function(miss) {
+        var video = incoming[miss.entry - 1];
+        report.unmatched.push({ videoId: video.videoId, title: video.title, channel: video.channel, reason: miss.reason });
+    });
+
+    if (!dryRun) {
+        // The video that's on YouTube may be another upload than the catalog's, so
+        // imported songs are marked synced rather than queued (no duplicate insert)
+        var markSynced = db.prepare(`
+            INSERT INTO youtube_sync_jobs (playlist_id, song_id, action, status, synced_at)
+            VALUES (?, ?, 'add', 'synced', CURRENT_TIMESTAMP)
+            ON CONFLICT(playlist_id, song_id) DO UPDATE SET
+                action = 'add', status = 'synced', attempts = 0, last_error = NULL,
+                synced_at = CASE WHEN status = 'synced' THEN synced_at ELSE CURRENT_TIMESTAMP END,
+                updated_at = CURRENT_TIMESTAMP
+        `);
+        var forgetJob = db.prepare('DELETE FROM youtube_sync_jobs WHERE playlist_id = ? AND song_id = ?');
+        var dropJob = db.prepare('DELETE FROM youtube_sync_jobs WHERE id = ?');
+        var self = this;
+
+        db.transaction(function() {
+            inSync.forEach(function(songId) { markSynced.run(playlist.id, songId); });
+            report.local.removed.forEach(function(item) {
+                removeSong(db, playlist.id, item.songId);
+                forgetJob.run(playlist.id, item.songId);
+            });
+            report.local.added.forEach(function(item) {
+                addSong(db, playlist.id, item.songId);
+                markSynced.run(playlist.id, item.songId);
+            });
+            finished.forEach(function(jobId) { dropJob.run(jobId); });
+            self.enqueue(playlist.id, report.youtube.added.map(function(item) { return item.songId; }), false);
+        })();
+    }
+
+    return {
+        dryRun: !!dryRun,
+        playlistId: playlist.id,
+        youtubePlaylistId: playlist.youtube_playlist_id,
+        summary: {
+            local: { added: report.local.added.length, removed: report.local.removed.length },
+            youtube: { added: report.youtube.added.length, removed: report.youtube.removed.length },
+            inSync: inSync.length,
+            unmatched: report.unmatched.length
+        },
+        local: report.local,
+        youtube: report.youtube,
+        unmatched: report.unmatched
+    };
+};
+
+YouTubeSync.describeError = describeError;
+
+module.exports = YouTubeSync;